@@ -0,0 +1,195 @@
+/**
+ * @file 测试捕获，拦截所有实例的打印记录，便于在单元测试中断言
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _rules from './_rules'
+import _serialize from './_serialize'
+
+/**
+ * 断言失败时列出已捕获记录的序列化限制
+ */
+const LIMITS = {
+  maxDepth: 3,
+  maxStringLength: 200,
+  maxArrayLength: 10,
+  maxKeys: 20,
+}
+
+/**
+ * 正在捕获的记录列表集合
+ */
+const collectors = new Set()
+
+// 私有方法
+const _actions = {
+  /**
+   * 拼接基本类型的参数作为打印信息
+   *
+   * @since 1.4.0
+   *
+   * @param {Array} args - 参数列表
+   *
+   * @returns {string}
+   */
+  message(args) {
+    return args.filter((arg) => {
+      return arg === null || (typeof arg !== 'object' && typeof arg !== 'function')
+    }).map(String).join(' ')
+  },
+  /**
+   * 判断数据是否部分匹配期望值：纯对象只比较期望值中的键，数组逐项比较，其他数据严格相等
+   *
+   * @since 1.4.0
+   *
+   * @param {*} actual - 实际数据
+   * @param {*} expected - 期望值
+   *
+   * @returns {boolean}
+   */
+  partial(actual, expected) {
+    if (expected instanceof RegExp) return validation.isString(actual) && expected.test(actual)
+
+    if (validation.isArray(expected)) {
+      return validation.isArray(actual) && expected.every((item, index) => {
+        return _actions.partial(actual[index], item)
+      })
+    }
+
+    if (validation.isPlainObject(expected)) {
+      return actual !== null && typeof actual === 'object' && Object.keys(expected).every((key) => {
+        return _actions.partial(actual[key], expected[key])
+      })
+    }
+
+    return actual === expected
+  },
+  /**
+   * 判断记录是否匹配查询条件
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 捕获的记录
+   * @param {string|RegExp} [namespace] - 命名空间
+   * @param {string} [method] - 打印方法
+   * @param {*} [matcher] - 参数匹配条件
+   *
+   * @returns {boolean}
+   */
+  match(record, namespace, method, matcher) {
+    if (namespace) {
+      const regexp = validation.isString(namespace) ? _rules.toRegExp(namespace) : namespace
+
+      if (!regexp.test(record.namespace)) return false
+    }
+
+    if (method && method !== '*' && record.method !== method) return false
+
+    if (matcher === undefined) return true
+    if (validation.isFunction(matcher)) return !!matcher(record.args, record)
+    if (validation.isString(matcher)) return _actions.message(record.args).indexOf(matcher) !== -1
+    if (matcher instanceof RegExp) return matcher.test(_actions.message(record.args))
+
+    return record.args.some((arg) => {
+      return _actions.partial(arg, matcher)
+    })
+  },
+  /**
+   * 描述查询条件及已捕获的记录，用于断言失败时的错误信息
+   *
+   * @since 1.4.0
+   *
+   * @param {string} title - 标题
+   * @param {Array} query - 查询条件
+   * @param {object[]} records - 已捕获的记录
+   *
+   * @returns {string}
+   */
+  describe(title, query, records) {
+    const [namespace, method, matcher] = query
+    const condition = `${namespace || '*'}.${method || '*'}${matcher === undefined ? '' : ` matching ${String(matcher)}`}`
+    const list = records.length
+      ? records.map((record) => {
+        const args = record.args.map((arg) => {
+          return validation.isString(arg) ? arg : JSON.stringify(_serialize.toJSONValue(arg, LIMITS))
+        })
+
+        return `  ${record.namespace}.${record.method} ${args.join(' ')}`
+      }).join('\n')
+      : '  (none)'
+
+    return `${title} ${condition}\nCaptured records:\n${list}`
+  },
+}
+
+const _capture = {
+  /**
+   * 是否正在捕获
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  active() {
+    return collectors.size > 0
+  },
+  /**
+   * 将打印记录加入所有正在捕获的记录列表
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   */
+  add(record) {
+    collectors.forEach((records) => {
+      records.push(record)
+    })
+  },
+  /**
+   * 开始捕获
+   *
+   * @since 1.4.0
+   *
+   * @returns {object} 捕获器
+   */
+  start() {
+    const records = []
+
+    collectors.add(records)
+
+    const capture = {
+      records,
+      find(namespace, method, matcher) {
+        return records.filter((record) => {
+          return _actions.match(record, namespace, method, matcher)
+        })
+      },
+      expectLogged(namespace, method, matcher) {
+        const found = capture.find(namespace, method, matcher)
+
+        if (!found.length) {
+          throw new Error(_actions.describe('Expected a record', [namespace, method, matcher], records))
+        }
+
+        return found[0]
+      },
+      expectNotLogged(namespace, method, matcher) {
+        if (capture.find(namespace, method, matcher).length) {
+          throw new Error(_actions.describe('Expected no record', [namespace, method, matcher], records))
+        }
+      },
+      clear() {
+        records.length = 0
+      },
+      restore() {
+        collectors.delete(records)
+      },
+    }
+
+    return capture
+  },
+}
+
+export default _capture
@@ -0,0 +1,312 @@
+/**
+ * @file 颜色转换，将CSS颜色转换为最接近的终端ANSI颜色
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+/**
+ * CSS命名颜色
+ */
+const NAMED_COLORS = {
+  aliceblue: 0xf0f8ff,
+  antiquewhite: 0xfaebd7,
+  aqua: 0x00ffff,
+  aquamarine: 0x7fffd4,
+  azure: 0xf0ffff,
+  beige: 0xf5f5dc,
+  bisque: 0xffe4c4,
+  black: 0x000000,
+  blanchedalmond: 0xffebcd,
+  blue: 0x0000ff,
+  blueviolet: 0x8a2be2,
+  brown: 0xa52a2a,
+  burlywood: 0xdeb887,
+  cadetblue: 0x5f9ea0,
+  chartreuse: 0x7fff00,
+  chocolate: 0xd2691e,
+  coral: 0xff7f50,
+  cornflowerblue: 0x6495ed,
+  cornsilk: 0xfff8dc,
+  crimson: 0xdc143c,
+  cyan: 0x00ffff,
+  darkblue: 0x00008b,
+  darkcyan: 0x008b8b,
+  darkgoldenrod: 0xb8860b,
+  darkgray: 0xa9a9a9,
+  darkgreen: 0x006400,
+  darkgrey: 0xa9a9a9,
+  darkkhaki: 0xbdb76b,
+  darkmagenta: 0x8b008b,
+  darkolivegreen: 0x556b2f,
+  darkorange: 0xff8c00,
+  darkorchid: 0x9932cc,
+  darkred: 0x8b0000,
+  darksalmon: 0xe9967a,
+  darkseagreen: 0x8fbc8f,
+  darkslateblue: 0x483d8b,
+  darkslategray: 0x2f4f4f,
+  darkslategrey: 0x2f4f4f,
+  darkturquoise: 0x00ced1,
+  darkviolet: 0x9400d3,
+  deeppink: 0xff1493,
+  deepskyblue: 0x00bfff,
+  dimgray: 0x696969,
+  dimgrey: 0x696969,
+  dodgerblue: 0x1e90ff,
+  firebrick: 0xb22222,
+  floralwhite: 0xfffaf0,
+  forestgreen: 0x228b22,
+  fuchsia: 0xff00ff,
+  gainsboro: 0xdcdcdc,
+  ghostwhite: 0xf8f8ff,
+  gold: 0xffd700,
+  goldenrod: 0xdaa520,
+  gray: 0x808080,
+  green: 0x008000,
+  greenyellow: 0xadff2f,
+  grey: 0x808080,
+  honeydew: 0xf0fff0,
+  hotpink: 0xff69b4,
+  indianred: 0xcd5c5c,
+  indigo: 0x4b0082,
+  ivory: 0xfffff0,
+  khaki: 0xf0e68c,
+  lavender: 0xe6e6fa,
+  lavenderblush: 0xfff0f5,
+  lawngreen: 0x7cfc00,
+  lemonchiffon: 0xfffacd,
+  lightblue: 0xadd8e6,
+  lightcoral: 0xf08080,
+  lightcyan: 0xe0ffff,
+  lightgoldenrodyellow: 0xfafad2,
+  lightgray: 0xd3d3d3,
+  lightgreen: 0x90ee90,
+  lightgrey: 0xd3d3d3,
+  lightpink: 0xffb6c1,
+  lightsalmon: 0xffa07a,
+  lightseagreen: 0x20b2aa,
+  lightskyblue: 0x87cefa,
+  lightslategray: 0x778899,
+  lightslategrey: 0x778899,
+  lightsteelblue: 0xb0c4de,
+  lightyellow: 0xffffe0,
+  lime: 0x00ff00,
+  limegreen: 0x32cd32,
+  linen: 0xfaf0e6,
+  magenta: 0xff00ff,
+  maroon: 0x800000,
+  mediumaquamarine: 0x66cdaa,
+  mediumblue: 0x0000cd,
+  mediumorchid: 0xba55d3,
+  mediumpurple: 0x9370db,
+  mediumseagreen: 0x3cb371,
+  mediumslateblue: 0x7b68ee,
+  mediumspringgreen: 0x00fa9a,
+  mediumturquoise: 0x48d1cc,
+  mediumvioletred: 0xc71585,
+  midnightblue: 0x191970,
+  mintcream: 0xf5fffa,
+  mistyrose: 0xffe4e1,
+  moccasin: 0xffe4b5,
+  navajowhite: 0xffdead,
+  navy: 0x000080,
+  oldlace: 0xfdf5e6,
+  olive: 0x808000,
+  olivedrab: 0x6b8e23,
+  orange: 0xffa500,
+  orangered: 0xff4500,
+  orchid: 0xda70d6,
+  palegoldenrod: 0xeee8aa,
+  palegreen: 0x98fb98,
+  paleturquoise: 0xafeeee,
+  palevioletred: 0xdb7093,
+  papayawhip: 0xffefd5,
+  peachpuff: 0xffdab9,
+  peru: 0xcd853f,
+  pink: 0xffc0cb,
+  plum: 0xdda0dd,
+  powderblue: 0xb0e0e6,
+  purple: 0x800080,
+  rebeccapurple: 0x663399,
+  red: 0xff0000,
+  rosybrown: 0xbc8f8f,
+  royalblue: 0x4169e1,
+  saddlebrown: 0x8b4513,
+  salmon: 0xfa8072,
+  sandybrown: 0xf4a460,
+  seagreen: 0x2e8b57,
+  seashell: 0xfff5ee,
+  sienna: 0xa0522d,
+  silver: 0xc0c0c0,
+  skyblue: 0x87ceeb,
+  slateblue: 0x6a5acd,
+  slategray: 0x708090,
+  slategrey: 0x708090,
+  snow: 0xfffafa,
+  springgreen: 0x00ff7f,
+  steelblue: 0x4682b4,
+  tan: 0xd2b48c,
+  teal: 0x008080,
+  thistle: 0xd8bfd8,
+  tomato: 0xff6347,
+  turquoise: 0x40e0d0,
+  violet: 0xee82ee,
+  wheat: 0xf5deb3,
+  white: 0xffffff,
+  whitesmoke: 0xf5f5f5,
+  yellow: 0xffff00,
+  yellowgreen: 0x9acd32,
+}
+
+/**
+ * 终端16色的ANSI前景色代码及其近似的RGB值
+ */
+const ANSI_COLORS = [
+  [30, [0, 0, 0]],
+  [31, [205, 0, 0]],
+  [32, [0, 205, 0]],
+  [33, [205, 205, 0]],
+  [34, [0, 0, 238]],
+  [35, [205, 0, 205]],
+  [36, [0, 205, 205]],
+  [37, [229, 229, 229]],
+  [90, [127, 127, 127]],
+  [91, [255, 0, 0]],
+  [92, [0, 255, 0]],
+  [93, [255, 255, 0]],
+  [94, [92, 92, 255]],
+  [95, [255, 0, 255]],
+  [96, [0, 255, 255]],
+  [97, [255, 255, 255]],
+]
+
+/**
+ * 命名空间自动分配的颜色，在浏览器控制台的亮色及暗色主题下均清晰可读，并指定了对应的终端ANSI颜色
+ */
+const PALETTE = [
+  ['#0891b2', 36],
+  ['#16a34a', 32],
+  ['#ca8a04', 33],
+  ['#2563eb', 34],
+  ['#c026d3', 35],
+  ['#0369a1', 34],
+  ['#0d9488', 96],
+  ['#7c3aed', 95],
+  ['#db2777', 91],
+  ['#65a30d', 92],
+  ['#ea580c', 93],
+  ['#4f46e5', 94],
+]
+
+/**
+ * 已转换的ANSI颜色缓存，预置了自动分配颜色对应的ANSI颜色
+ */
+const ansiCache = new Map(PALETTE)
+
+/**
+ * 命名空间已分配的颜色缓存
+ */
+const pickCache = new Map()
+
+const _color = {
+  /**
+   * 根据命名空间的哈希值，从调色板中分配固定的颜色，同一命名空间始终分配到同一种颜色
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 命名空间
+   *
+   * @returns {string}
+   */
+  pick(name) {
+    if (pickCache.has(name)) return pickCache.get(name)
+
+    let hash = 0
+
+    for (let i = 0; i < name.length; i++) {
+      hash = ((hash << 5) - hash + name.charCodeAt(i)) | 0
+    }
+
+    const color = PALETTE[Math.abs(hash) % PALETTE.length][0]
+
+    pickCache.set(name, color)
+
+    return color
+  },
+  /**
+   * 将CSS颜色解析为RGB值，支持命名颜色、`#rgb`、`#rrggbb`、`rgb()`、`rgba()`写法
+   *
+   * @since 1.4.0
+   *
+   * @param {string} color - CSS颜色
+   *
+   * @returns {number[]|null} 无法解析时返回null
+   */
+  toRgb(color) {
+    const value = String(color).trim().toLowerCase()
+
+    if (Object.prototype.hasOwnProperty.call(NAMED_COLORS, value)) {
+      const hex = NAMED_COLORS[value]
+
+      return [hex >> 16, (hex >> 8) & 0xff, hex & 0xff]
+    }
+
+    let matched = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/)
+
+    if (matched) {
+      const hex = matched[1].length === 3
+        ? matched[1].split('').map((char) => {
+          return char + char
+        }).join('')
+        : matched[1]
+
+      return [0, 2, 4].map((index) => {
+        return parseInt(hex.slice(index, index + 2), 16)
+      })
+    }
+
+    matched = value.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/)
+
+    if (matched) {
+      return matched.slice(1, 4).map(Number)
+    }
+
+    return null
+  },
+  /**
+   * 将CSS颜色转换为最接近的终端ANSI前景色代码
+   *
+   * @since 1.4.0
+   *
+   * @param {string} color - CSS颜色
+   *
+   * @returns {number|null} 无法解析时返回null
+   */
+  toAnsi(color) {
+    if (ansiCache.has(color)) return ansiCache.get(color)
+
+    const rgb = _color.toRgb(color)
+    let code = null
+
+    if (rgb) {
+      let min = Infinity
+
+      ANSI_COLORS.forEach(([ansi, target]) => {
+        const distance = target.reduce((sum, value, index) => {
+          return sum + (value - rgb[index]) ** 2
+        }, 0)
+
+        if (distance < min) {
+          min = distance
+          code = ansi
+        }
+      })
+    }
+
+    ansiCache.set(color, code)
+
+    return code
+  },
+}
+
+export default _color
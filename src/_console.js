@@ -0,0 +1,118 @@
+/**
+ * @file 全局console的替换及还原，替换后内置输出通道仍使用原始的console方法，避免递归调用
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _location from './_location'
+
+/**
+ * 匹配调用栈中第三方包的路径，如`node_modules/axios/`、`node_modules/@vue/runtime-core/`
+ */
+const PACKAGE_REGEXP = /node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)[\\/]/
+
+/**
+ * 当前的替换记录，包含各个方法的原始方法及替换方法
+ */
+let current = null
+
+/**
+ * 以原始方法输出的console对象，未替换时为全局console
+ */
+let original = null
+
+// 查找调用位置时跳过替换方法
+_location.ignore(new Error().stack)
+
+const _console = {
+  /**
+   * 获取以原始方法输出的console对象
+   *
+   * @since 1.4.0
+   *
+   * @returns {object}
+   */
+  original() {
+    return original || console
+  },
+  /**
+   * 替换全局console的方法，已替换过时先还原
+   *
+   * @since 1.4.0
+   *
+   * @param {string[]} methods - 替换的方法
+   * @param {function} factory - 创建处理函数的函数，接收参数为方法名及原始方法（已绑定console），返回处理函数
+   *
+   * @returns {function} 还原的函数
+   */
+  patch(methods, factory) {
+    _console.restore()
+
+    const record = { active: true, methods: {} }
+
+    current = record
+    original = Object.create(console)
+
+    methods.forEach((method) => {
+      const fn = console[method]
+
+      if (!validation.isFunction(fn)) return
+
+      const bound = fn.bind(console)
+      const handler = factory(method, bound)
+
+      // 还原后仍被其他代码包裹调用时，直接使用原始方法
+      const replacement = function (...args) {
+        return record.active ? handler(...args) : bound(...args)
+      }
+
+      original[method] = bound
+      record.methods[method] = { fn, replacement }
+      console[method] = replacement
+    })
+
+    return () => {
+      current === record && _console.restore()
+    }
+  },
+  /**
+   * 还原全局console的方法，之后被其他代码替换的方法保持不变
+   *
+   * @since 1.4.0
+   */
+  restore() {
+    if (!current) return
+
+    const methods = current.methods
+
+    Object.keys(methods).forEach((method) => {
+      if (console[method] === methods[method].replacement) console[method] = methods[method].fn
+    })
+
+    current.active = false
+    current = null
+    original = null
+  },
+  /**
+   * 从调用栈中找出直接调用console方法的第三方包名称，不是第三方包调用时返回null
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [stack] - 在处理函数中创建的错误对象的调用栈
+   *
+   * @returns {string|null}
+   */
+  caller(stack) {
+    // 只保留带行号的调用栈（部分浏览器的第一行为错误信息），依次为处理函数、替换方法、调用方
+    const frame = String(stack || '').split('\n').filter((line) => {
+      return /:\d+/.test(line)
+    })[2]
+
+    const matched = frame && frame.match(PACKAGE_REGEXP)
+
+    return matched ? matched[1].replace(/\\/g, '/') : null
+  },
+}
+
+export default _console
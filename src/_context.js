@@ -0,0 +1,96 @@
+/**
+ * @file 作用域上下文，在一次调用（如一个请求的处理过程）中传递上下文字段
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _env from './_env'
+
+// 私有方法
+const _actions = {
+  /**
+   * 获取AsyncLocalStorage类，不支持的环境返回null
+   * - 部分运行时（如Cloudflare Workers）在全局对象上提供了AsyncLocalStorage，也可以在引入前手动注入到全局对象上
+   * - Node.js 20.16+、22.3+通过`process.getBuiltinModule`获取，更早的版本以CommonJS方式引入时通过`module.require`获取，避免打包工具将`async_hooks`打包到浏览器代码中
+   *
+   * @since 1.4.0
+   *
+   * @returns {function|null}
+   */
+  asyncLocalStorage() {
+    if (validation.isFunction(_env.root.AsyncLocalStorage)) return _env.root.AsyncLocalStorage
+
+    try {
+      let hooks = null
+
+      if (typeof process !== 'undefined' && validation.isFunction(process.getBuiltinModule)) {
+        hooks = process.getBuiltinModule('async_hooks')
+      } else if (typeof module !== 'undefined' && module && validation.isFunction(module.require)) {
+        hooks = module.require('async_hooks')
+      }
+
+      return hooks && validation.isFunction(hooks.AsyncLocalStorage) ? hooks.AsyncLocalStorage : null
+    } catch (err) {
+      return null
+    }
+  },
+}
+
+/**
+ * 异步上下文存储，不支持时为null，此时使用同步的上下文栈
+ */
+const AsyncLocalStorage = _actions.asyncLocalStorage()
+const storage = AsyncLocalStorage ? new AsyncLocalStorage() : null
+const stack = []
+
+const _context = {
+  /**
+   * 是否支持在异步调用中传递上下文
+   *
+   * @since 1.4.0
+   *
+   * @type {boolean}
+   */
+  async: !!storage,
+  /**
+   * 获取当前作用域的上下文字段
+   *
+   * @since 1.4.0
+   *
+   * @returns {object|undefined}
+   */
+  current() {
+    return storage
+      ? storage.getStore()
+      : stack[stack.length - 1]
+  },
+  /**
+   * 在上下文作用域中运行函数，嵌套时合并外层作用域的上下文字段
+   *
+   * @since 1.4.0
+   *
+   * @param {object} fields - 上下文字段
+   * @param {function} fn - 被运行的函数
+   *
+   * @returns {*} 函数的返回值
+   */
+  run(fields, fn) {
+    const context = {
+      ..._context.current(),
+      ...fields,
+    }
+
+    if (storage) return storage.run(context, fn)
+
+    stack.push(context)
+
+    try {
+      return fn()
+    } finally {
+      stack.pop()
+    }
+  },
+}
+
+export default _context
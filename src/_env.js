@@ -0,0 +1,422 @@
+/**
+ * @file 运行环境适配
+ * 浏览器环境从`localStorage`读取配置，Node.js环境从`process.env`读取配置，其他环境可以注入自定义的存储适配器
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _rules from './_rules'
+
+/**
+ * 全局对象，兼容浏览器、Web Worker、Node.js等环境
+ */
+const root = typeof globalThis !== 'undefined'
+  ? globalThis
+  : typeof self !== 'undefined'
+    ? self
+    : typeof window !== 'undefined'
+      ? window
+      : typeof global !== 'undefined'
+        ? global
+        : {}
+
+/**
+ * Node.js环境下存储键与环境变量的映射，依次读取
+ */
+const ENV_KEYS = {
+  LOGGER_RULES: ['LOGGER_RULES'],
+  IS_DEV: ['LOGGER_DEV', 'IS_DEV'],
+}
+
+// 私有方法
+const _actions = {
+  /**
+   * 获取`process.env`，不存在时返回空对象
+   *
+   * @since 1.4.0
+   *
+   * @returns {object}
+   */
+  processEnv() {
+    try {
+      return process.env || {}
+    } catch (err) {
+      return {}
+    }
+  },
+  /**
+   * 获取`localStorage`，不存在或禁止访问（如隐私模式、沙箱iframe）时返回null
+   *
+   * @since 1.4.0
+   *
+   * @returns {Storage|null}
+   */
+  localStorage() {
+    try {
+      const storage = root.localStorage
+
+      // 部分环境下访问localStorage本身不会报错，读取时才会报错
+      storage.getItem('LOGGER_RULES')
+
+      return storage
+    } catch (err) {
+      return null
+    }
+  },
+  /**
+   * 创建基于`process.env`的存储适配器
+   *
+   * @since 1.4.0
+   *
+   * @param {object} env - 环境变量集合
+   *
+   * @returns {object}
+   */
+  envStorage(env) {
+    return {
+      getItem(key) {
+        const envKey = (ENV_KEYS[key] || [key]).find((name) => {
+          return env[name] !== undefined
+        })
+
+        return envKey ? env[envKey] : null
+      },
+      setItem(key, value) {
+        // 环境变量会传递给子进程，只写入配置，其他数据（如待发送的日志队列）直接忽略
+        if (!ENV_KEYS[key]) return
+
+        env[ENV_KEYS[key][0]] = String(value)
+      },
+      removeItem(key) {
+        (ENV_KEYS[key] || [key]).forEach((name) => {
+          delete env[name]
+        })
+      },
+    }
+  },
+  /**
+   * 安全的解析JSON字符串，解析失败时返回原始值
+   *
+   * @since 1.4.0
+   *
+   * @param {string} value - JSON字符串
+   *
+   * @returns {*}
+   */
+  parse(value) {
+    try {
+      return JSON.parse(value)
+    } catch (err) {
+      return value
+    }
+  },
+}
+
+/**
+ * 自动检测到的颜色输出模式缓存
+ */
+let detectedColorMode
+
+/**
+ * 打印规则缓存，存储中的原始值未变化时直接复用
+ */
+let rulesCache = { raw: undefined, debug: false, value: {} }
+
+/**
+ * 开发环境配置缓存，存储中的原始值未变化时直接复用
+ */
+let devCache = null
+
+/**
+ * 当前使用的存储适配器
+ */
+let storage = _actions.localStorage() || (typeof process !== 'undefined' ? _actions.envStorage(_actions.processEnv()) : null)
+
+const _env = {
+  /**
+   * 全局对象
+   *
+   * @since 1.4.0
+   *
+   * @type {object}
+   */
+  root,
+  /**
+   * 获取当前使用的存储适配器
+   *
+   * @since 1.4.0
+   *
+   * @returns {object|null}
+   */
+  getStorage() {
+    return storage
+  },
+  /**
+   * 注入存储适配器，需实现`getItem(key)`方法，可选实现`setItem(key, value)`、`removeItem(key)`方法
+   *
+   * @since 1.4.0
+   *
+   * @param {object|null} adapter - 存储适配器
+   */
+  setStorage(adapter) {
+    storage = adapter
+  },
+  /**
+   * 从存储中读取值，读取失败时返回null
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 存储键
+   *
+   * @returns {string|null}
+   */
+  getItem(key) {
+    try {
+      return storage ? storage.getItem(key) : null
+    } catch (err) {
+      return null
+    }
+  },
+  /**
+   * 写入存储，存储适配器不支持写入或写入失败时返回false
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 存储键
+   * @param {string} value - 存储值
+   *
+   * @returns {boolean}
+   */
+  setItem(key, value) {
+    try {
+      if (!storage || !storage.setItem) return false
+
+      storage.setItem(key, value)
+
+      return true
+    } catch (err) {
+      return false
+    }
+  },
+  /**
+   * 从存储中移除，存储适配器不支持移除或移除失败时返回false
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 存储键
+   *
+   * @returns {boolean}
+   */
+  removeItem(key) {
+    try {
+      if (!storage || !storage.removeItem) return false
+
+      storage.removeItem(key)
+
+      return true
+    } catch (err) {
+      return false
+    }
+  },
+  /**
+   * 监听其他页面对存储的修改（浏览器的`storage`事件）
+   *
+   * @since 1.4.0
+   *
+   * @param {function} listener - 监听函数，接收参数为变化的存储键，清空存储时为null
+   *
+   * @returns {function} 取消监听的函数
+   */
+  watch(listener) {
+    if (!root.addEventListener) return () => {}
+
+    const handler = (event) => {
+      if (event.key === null || event.key === 'LOGGER_RULES' || event.key === 'IS_DEV') {
+        listener(event.key)
+      }
+    }
+
+    root.addEventListener('storage', handler)
+
+    return () => {
+      root.removeEventListener('storage', handler)
+    }
+  },
+  /**
+   * 读取**打印规则**配置
+   * - 支持JSON对象及类似`DEBUG`环境变量的字符串写法
+   * - Node.js环境下未设置`LOGGER_RULES`时，回退读取`DEBUG`环境变量，此时与`DEBUG`的语义一致，未匹配到规则的命名空间不打印
+   * - 格式错误的JSON视为未设置规则
+   * - 每次调用都会重新读取，原始值未变化时返回同一个对象
+   *
+   * @since 1.4.0
+   *
+   * @returns {object}
+   */
+  readRules() {
+    let value = _env.getItem('LOGGER_RULES')
+    const debug = value === null || value === undefined
+
+    if (debug) value = _actions.processEnv().DEBUG
+
+    if (value === rulesCache.raw && debug === rulesCache.debug) return rulesCache.value
+
+    const rules = _actions.parse(value)
+    let result = {}
+
+    // 格式错误的JSON对象直接忽略
+    if (validation.isPlainObject(rules) || (validation.isString(rules) && !/^\s*[{[]/.test(rules))) {
+      result = _rules.normalize(rules)
+    }
+
+    // `DEBUG`作为白名单，通配规则的优先级最低，不会覆盖其中更具体的规则
+    if (debug && value) {
+      result = {
+        '*': false,
+        ...result,
+      }
+    }
+
+    rulesCache = { raw: value, debug, value: result }
+
+    return result
+  },
+  /**
+   * 读取是否为**开发环境**配置
+   * 依次判断存储中的`IS_DEV`（Node.js环境下为`LOGGER_DEV`或`IS_DEV`环境变量）、`NODE_ENV`是否为`development`、是否设置了`DEBUG`环境变量
+   * 每次调用都会重新读取存储中的值
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  readDev() {
+    const raw = _env.getItem('IS_DEV')
+
+    if (devCache && devCache.raw === raw) return devCache.value
+
+    const value = _actions.parse(raw)
+    // 只有合法的JSON真值或明确的`'true'`、`'1'`才开启，格式错误或其他字符串均视为关闭
+    const enabled = validation.isString(value) ? /^(true|1)$/.test(value.trim()) : !!value
+    let nodeEnv
+
+    // 保留`process.env.NODE_ENV`的完整写法，以便打包工具进行替换
+    try {
+      nodeEnv = process.env.NODE_ENV
+    } catch (err) {
+      nodeEnv = undefined
+    }
+
+    devCache = {
+      raw,
+      value: enabled || nodeEnv === 'development' || !!_actions.processEnv().DEBUG,
+    }
+
+    return devCache.value
+  },
+  /**
+   * 设置定时器，Node.js环境下不阻止进程退出
+   *
+   * @since 1.4.0
+   *
+   * @param {function} callback - 回调函数
+   * @param {number} delay - 延迟毫秒数
+   *
+   * @returns {*} 定时器
+   */
+  defer(callback, delay) {
+    const timer = setTimeout(callback, delay)
+
+    timer.unref && timer.unref()
+
+    return timer
+  },
+  /**
+   * 获取高精度的当前时间（毫秒），不支持`performance.now`时使用`Date.now`
+   *
+   * @since 1.4.0
+   *
+   * @returns {number}
+   */
+  now() {
+    return root.performance && root.performance.now
+      ? root.performance.now()
+      : Date.now()
+  },
+  /**
+   * 在浏览器中下载文本文件，非浏览器环境返回false
+   *
+   * @since 1.4.0
+   *
+   * @param {string} filename - 文件名
+   * @param {string} content - 文件内容
+   * @param {string} [type='text/plain'] - 文件类型
+   *
+   * @returns {boolean}
+   */
+  download(filename, content, type = 'text/plain') {
+    const document = root.document
+
+    if (!document || !root.URL || !root.Blob) return false
+
+    const url = root.URL.createObjectURL(new root.Blob([content], { type }))
+    const link = document.createElement('a')
+
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    root.URL.revokeObjectURL(url)
+
+    return true
+  },
+  /**
+   * 复制文本到剪贴板，不支持时返回被拒绝的Promise
+   *
+   * @since 1.4.0
+   *
+   * @param {string} text - 文本
+   *
+   * @returns {Promise}
+   */
+  copy(text) {
+    const clipboard = root.navigator && root.navigator.clipboard
+
+    return clipboard
+      ? clipboard.writeText(text)
+      : Promise.reject(new Error('clipboard is not supported'))
+  },
+  /**
+   * 检测当前运行环境支持的颜色输出模式
+   * - 浏览器、Web Worker环境：'css'，使用`%c`样式
+   * - Node.js环境：设置了`NO_COLOR`时为'none'；设置了`FORCE_COLOR`时按其值决定；否则输出到终端(TTY)时为'ansi'，其他情况为'none'
+   *
+   * @since 1.4.0
+   *
+   * @returns {string}
+   */
+  detectColorMode() {
+    if (detectedColorMode) return detectedColorMode
+
+    const env = _actions.processEnv()
+    const isNode = typeof process !== 'undefined' && !!(process.versions && process.versions.node)
+
+    if (!isNode || typeof root.document !== 'undefined') {
+      detectedColorMode = 'css'
+    } else if (env.NO_COLOR !== undefined) {
+      detectedColorMode = 'none'
+    } else if (env.FORCE_COLOR !== undefined) {
+      detectedColorMode = env.FORCE_COLOR === '0' || env.FORCE_COLOR === 'false' ? 'none' : 'ansi'
+    } else {
+      const stdout = process.stdout
+
+      detectedColorMode = stdout && stdout.isTTY && env.TERM !== 'dumb' ? 'ansi' : 'none'
+    }
+
+    return detectedColorMode
+  },
+}
+
+export default _env
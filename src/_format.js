@@ -0,0 +1,150 @@
+/**
+ * @file 日志格式化
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import _color from './_color'
+import _env from './_env'
+
+/**
+ * 模块加载时间，作为相对时间戳的起点
+ */
+const START_TIME = Date.now()
+
+// 私有方法
+const _actions = {
+  /**
+   * 数字补零
+   *
+   * @since 1.4.0
+   *
+   * @param {number} value - 数字
+   * @param {number} [length=2] - 长度
+   *
+   * @returns {string}
+   */
+  pad(value, length = 2) {
+    return String(value).padStart(length, '0')
+  },
+}
+
+const _format = {
+  /**
+   * 格式化时间戳
+   * - 'iso'：ISO 8601格式，如`2017-11-06T08:00:00.000Z`
+   * - 'time'：本地时间，如`16:00:00.000`
+   * - 'relative'：相对于模块加载时间的秒数，如`12.345s`
+   *
+   * @since 1.4.0
+   *
+   * @param {number} timestamp - 时间戳
+   * @param {string} [mode='iso'] - 格式
+   *
+   * @returns {string}
+   */
+  timestamp(timestamp, mode = 'iso') {
+    const date = new Date(timestamp)
+
+    if (mode === 'relative') {
+      return `${((timestamp - START_TIME) / 1000).toFixed(3)}s`
+    }
+
+    if (mode === 'time') {
+      return `${_actions.pad(date.getHours())}:${_actions.pad(date.getMinutes())}:${_actions.pad(date.getSeconds())}.${_actions.pad(date.getMilliseconds(), 3)}`
+    }
+
+    return date.toISOString()
+  },
+  /**
+   * 格式化时间间隔，类似`debug`模块的写法，如`+12ms`、`+3s`、`+2m`、`+1h`
+   *
+   * @since 1.4.0
+   *
+   * @param {number} ms - 毫秒数
+   *
+   * @returns {string}
+   */
+  duration(ms) {
+    if (ms >= 3600000) return `+${Math.round(ms / 3600000)}h`
+    if (ms >= 60000) return `+${Math.round(ms / 60000)}m`
+    if (ms >= 1000) return `+${Math.round(ms / 1000)}s`
+
+    return `+${ms}ms`
+  },
+  /**
+   * 根据模板生成前缀文本，支持以下占位符：
+   * - `{name}`：命名空间
+   * - `{level}`：日志级别
+   * - `{method}`：打印方法
+   * - `{time}`：时间戳，格式由`timestampMode`决定
+   * - `{delta}`：距离同一命名空间上一条日志的时间间隔，如`+12ms`
+   * - `{location}`：调用位置，如`src/app.js:12:5`，需开启实例配置项`location`
+   *
+   * @since 1.4.0
+   *
+   * @param {string} template - 前缀模板
+   * @param {object} record - 打印记录
+   * @param {string} [timestampMode] - 时间戳格式
+   *
+   * @returns {string}
+   */
+  template(template, record, timestampMode) {
+    return template.replace(/\{(\w+)\}/g, (matched, token) => {
+      switch (token) {
+        case 'name':
+          return record.namespace
+        case 'level':
+          return record.level
+        case 'method':
+          return record.method
+        case 'time':
+          return _format.timestamp(record.timestamp, timestampMode)
+        case 'delta':
+          return _format.duration(record.delta || 0)
+        case 'location':
+          return record.location || ''
+        default:
+          return matched
+      }
+    })
+  },
+  /**
+   * 获取实际使用的颜色输出模式
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [mode='auto'] - 颜色输出模式：'auto'、'css'、'ansi'、'none'
+   *
+   * @returns {string}
+   */
+  colorMode(mode) {
+    return mode && mode !== 'auto'
+      ? mode
+      : _env.detectColorMode()
+  },
+  /**
+   * 将前缀文本格式化为带颜色的console参数列表
+   *
+   * @since 1.4.0
+   *
+   * @param {string} text - 前缀文本
+   * @param {string} color - CSS颜色
+   * @param {string} mode - 颜色输出模式：'css'、'ansi'、'none'
+   *
+   * @returns {Array}
+   */
+  prefix(text, color, mode) {
+    if (mode === 'css') {
+      return [`%c${text}%c`, `color: ${color}`, '']
+    }
+
+    const code = mode === 'ansi' ? _color.toAnsi(color) : null
+
+    return code === null
+      ? [text]
+      : [`\u001b[${code}m${text}\u001b[39m`]
+  },
+}
+
+export default _format
@@ -0,0 +1,329 @@
+/**
+ * @file 日志历史记录，以环形缓冲区的方式保存最近的打印记录，便于导出附加到问题反馈中
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _env from './_env'
+import _rules from './_rules'
+import _serialize from './_serialize'
+
+/**
+ * 保存到历史记录中的参数的序列化限制
+ */
+const LIMITS = {
+  maxDepth: 4,
+  maxStringLength: 500,
+  maxArrayLength: 20,
+  maxKeys: 50,
+}
+
+/**
+ * IndexedDB数据库名称及对象仓库名称
+ */
+const DB_NAME = 'logger'
+const DB_STORE = 'history'
+
+/**
+ * 历史记录配置
+ */
+let config = {
+  size: 0,
+  maxBytes: 512 * 1024,
+  persist: false,
+  key: 'LOGGER_HISTORY',
+}
+
+/**
+ * 历史记录列表，及其占用的字节数（以JSON字符串长度近似计算）
+ */
+let entries = []
+let bytes = 0
+
+/**
+ * 延迟持久化的定时器
+ */
+let saveTimer = null
+
+/**
+ * 已读取过的持久化存储标识，避免重复读取
+ */
+let loaded = null
+
+// 私有方法
+const _actions = {
+  /**
+   * 打开IndexedDB数据库
+   *
+   * @since 1.4.0
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDB() {
+    return new Promise((resolve, reject) => {
+      const request = _env.root.indexedDB.open(DB_NAME, 1)
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(DB_STORE)
+      }
+      request.onsuccess = () => {
+        resolve(request.result)
+      }
+      request.onerror = () => {
+        reject(request.error)
+      }
+    })
+  },
+  /**
+   * 读写IndexedDB中的历史记录
+   *
+   * @since 1.4.0
+   *
+   * @param {string} mode - 'readonly'或'readwrite'
+   * @param {Array} [value] - 写入的历史记录，不传时为读取
+   *
+   * @returns {Promise<Array|undefined>}
+   */
+  idb(mode, value) {
+    return _actions.openDB().then((db) => {
+      return new Promise((resolve, reject) => {
+        const store = db.transaction(DB_STORE, mode).objectStore(DB_STORE)
+        const request = value === undefined
+          ? store.get(config.key)
+          : store.put(value, config.key)
+
+        request.onsuccess = () => {
+          db.close()
+          resolve(request.result)
+        }
+        request.onerror = () => {
+          db.close()
+          reject(request.error)
+        }
+      })
+    })
+  },
+  /**
+   * 从持久化存储中读取历史记录
+   *
+   * @since 1.4.0
+   *
+   * @returns {Promise<Array>}
+   */
+  load() {
+    return new Promise((resolve) => {
+      if (config.persist === 'session') {
+        resolve(JSON.parse(_env.root.sessionStorage.getItem(config.key)))
+      } else if (config.persist === 'indexeddb') {
+        resolve(_actions.idb('readonly'))
+      } else {
+        resolve([])
+      }
+    }).then((list) => {
+      return validation.isArray(list) ? list : []
+    }).catch(() => {
+      return []
+    })
+  },
+  /**
+   * 将历史记录写入持久化存储，写入失败（如超出存储配额）时忽略
+   *
+   * @since 1.4.0
+   */
+  save() {
+    saveTimer = null
+
+    try {
+      if (config.persist === 'session') {
+        _env.root.sessionStorage.setItem(config.key, JSON.stringify(entries))
+      } else if (config.persist === 'indexeddb') {
+        _actions.idb('readwrite', entries).catch(() => {})
+      }
+    } catch (err) {
+      // 忽略持久化失败
+    }
+  },
+  /**
+   * 延迟持久化，合并短时间内的多次写入
+   *
+   * @since 1.4.0
+   */
+  scheduleSave() {
+    if (!config.persist || saveTimer) return
+
+    saveTimer = _env.defer(_actions.save, 500)
+  },
+  /**
+   * 超出条数或字节数限制时，移除最早的历史记录
+   *
+   * @since 1.4.0
+   */
+  trim() {
+    while (entries.length && (entries.length > config.size || bytes > config.maxBytes)) {
+      bytes -= entries.shift().$bytes
+    }
+  },
+  /**
+   * 将参数转换为文本
+   *
+   * @since 1.4.0
+   *
+   * @param {*} arg - 已序列化的参数
+   *
+   * @returns {string}
+   */
+  stringifyArg(arg) {
+    return validation.isString(arg) ? arg : JSON.stringify(arg)
+  },
+}
+
+const _history = {
+  /**
+   * 更新历史记录配置，启用持久化时会读取之前保存的历史记录
+   *
+   * @since 1.4.0
+   *
+   * @param {object} options - 配置选项
+   *
+   * @returns {Promise} 读取完持久化的历史记录后完成
+   */
+  config(options) {
+    config = {
+      ...config,
+      ...options,
+    }
+
+    _actions.trim()
+
+    const source = `${config.persist}:${config.key}`
+
+    if (!config.persist || config.size <= 0 || loaded === source) return Promise.resolve()
+
+    loaded = source
+
+    return _actions.load().then((list) => {
+      // 持久化的历史记录排在当前历史记录之前
+      entries = [...list, ...entries]
+      bytes = entries.reduce((sum, entry) => {
+        return sum + (entry.$bytes || 0)
+      }, 0)
+
+      _actions.trim()
+    })
+  },
+  /**
+   * 是否启用了历史记录
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  enabled() {
+    return config.size > 0
+  },
+  /**
+   * 增加一条历史记录，参数会被序列化，避免持有原始对象的引用
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {boolean} activated - 是否处于激活状态（即实际输出了）
+   */
+  add(record, activated) {
+    const entry = {
+      namespace: record.namespace,
+      method: record.method,
+      level: record.level,
+      timestamp: record.timestamp,
+      activated,
+      args: record.args.map((arg) => {
+        return _serialize.toJSONValue(arg, LIMITS)
+      }),
+    }
+
+    if (record.context) entry.context = _serialize.toJSONValue(record.context, LIMITS)
+    if (record.location) entry.location = record.location
+
+    entry.$bytes = JSON.stringify(entry).length
+
+    entries.push(entry)
+    bytes += entry.$bytes
+
+    _actions.trim()
+    _actions.scheduleSave()
+  },
+  /**
+   * 查询历史记录，命名空间条件也会匹配其子命名空间
+   *
+   * @since 1.4.0
+   *
+   * @param {object} [filter] - 查询条件
+   * @param {string|RegExp} [filter.namespace] - 命名空间，支持通配符`*`
+   * @param {string} [filter.level] - 最低日志级别
+   * @param {string} [filter.method] - 打印方法
+   * @param {number|Date} [filter.since] - 起始时间
+   * @param {number|Date} [filter.until] - 截止时间
+   * @param {boolean} [filter.activated] - 是否实际输出了
+   * @param {number} [filter.limit] - 最多返回最近的条数
+   * @param {object} levels - 日志级别数值映射
+   *
+   * @returns {object[]}
+   */
+  query(filter, levels) {
+    const since = filter.since ? +filter.since : -Infinity
+    const until = filter.until ? +filter.until : Infinity
+    const namespace = validation.isString(filter.namespace)
+      ? _rules.toRegExp(filter.namespace)
+      : filter.namespace
+
+    const result = entries.filter((entry) => {
+      return (!namespace || _rules.chain(entry.namespace).some((name) => {
+        return namespace.test(name)
+      }))
+        && (!filter.level || levels[entry.level] >= levels[filter.level])
+        && (!filter.method || entry.method === filter.method)
+        && (filter.activated === undefined || entry.activated === filter.activated)
+        && entry.timestamp >= since
+        && entry.timestamp <= until
+    }).map((entry) => {
+      const { $bytes, ...rest } = entry
+
+      return rest
+    })
+
+    return filter.limit ? result.slice(-filter.limit) : result
+  },
+  /**
+   * 清空历史记录
+   *
+   * @since 1.4.0
+   */
+  clear() {
+    entries = []
+    bytes = 0
+
+    _actions.scheduleSave()
+  },
+  /**
+   * 将历史记录转换为文本，每条一行，格式为`时间 级别 [命名空间] 上下文字段 参数`
+   *
+   * @since 1.4.0
+   *
+   * @param {object[]} list - 历史记录
+   *
+   * @returns {string}
+   */
+  toText(list) {
+    return list.map((entry) => {
+      const time = new Date(entry.timestamp).toISOString()
+      const level = entry.level.toUpperCase()
+
+      const args = entry.context ? [entry.context, ...entry.args] : entry.args
+
+      return `${time} ${level} [${entry.namespace}] ${args.map(_actions.stringifyArg).join(' ')}`
+    }).join('\n')
+  },
+}
+
+export default _history
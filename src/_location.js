@@ -0,0 +1,105 @@
+/**
+ * @file 调用位置，从调用栈中找出调用打印方法的源码位置（文件:行:列）
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+/**
+ * 日志打印器内部的文件，查找调用位置时跳过
+ */
+const internalFiles = new Set()
+
+// 私有方法
+const _actions = {
+  /**
+   * 解析一行调用栈，兼容V8（`at fn (file:1:2)`、`at file:1:2`）及Firefox、Safari（`fn@file:1:2`）的格式
+   *
+   * @since 1.4.0
+   *
+   * @param {string} line - 一行调用栈
+   *
+   * @returns {object|null} `{ file, line, column }`，不是调用栈时返回null
+   */
+  parse(line) {
+    const text = line.trim()
+    const inner = /\((.*)\)$/.exec(text)
+    const source = inner
+      ? inner[1]
+      : text.replace(/^at\s+/, '').replace(/^[^@]*@/, '')
+    const matched = /^(.*):(\d+):(\d+)$/.exec(source)
+
+    return matched
+      ? { file: matched[1], line: matched[2], column: matched[3] }
+      : null
+  },
+  /**
+   * 解析调用栈
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [stack] - 调用栈
+   *
+   * @returns {object[]}
+   */
+  frames(stack) {
+    return String(stack || '').split('\n').map(_actions.parse).filter(Boolean)
+  },
+  /**
+   * 简化文件路径：去掉`file://`协议，Node.js环境下转换为相对于当前工作目录的路径
+   *
+   * @since 1.4.0
+   *
+   * @param {string} file - 文件路径
+   *
+   * @returns {string}
+   */
+  shorten(file) {
+    let result = file.replace(/^file:\/\//, '')
+
+    try {
+      const cwd = typeof process !== 'undefined' && process.cwd ? `${process.cwd()}/` : null
+
+      if (cwd && result.indexOf(cwd) === 0) result = result.slice(cwd.length)
+    } catch (err) {
+      // 部分环境（如Web Worker中的process垫片）不支持cwd
+    }
+
+    return result
+  },
+}
+
+const _location = {
+  /**
+   * 登记日志打印器内部的文件，在该文件的模块顶层调用，查找调用位置时跳过该文件中的调用栈
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [stack] - 在模块顶层创建的错误对象的调用栈
+   */
+  ignore(stack) {
+    const frame = _actions.frames(stack)[0]
+
+    frame && internalFiles.add(frame.file)
+  },
+  /**
+   * 获取调用位置，即调用栈中第一个不在日志打印器内部文件中的位置
+   * [注]日志打印器与调用方被打包到同一个文件中时无法区分，返回undefined
+   *
+   * @since 1.4.0
+   *
+   * @returns {string|undefined} 如`src/app.js:12:5`
+   */
+  capture() {
+    const frame = _actions.frames(new Error().stack).find((item) => {
+      return !internalFiles.has(item.file)
+    })
+
+    return frame
+      ? `${_actions.shorten(frame.file)}:${frame.line}:${frame.column}`
+      : undefined
+  },
+}
+
+_location.ignore(new Error().stack)
+
+export default _location
@@ -0,0 +1,253 @@
+/**
+ * @file 敏感数据脱敏，在输出前对参数进行深拷贝并替换敏感字段及敏感值
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _env from './_env'
+
+/**
+ * 默认的替换文本
+ */
+const CENSOR = '[REDACTED]'
+
+/**
+ * 已编译的脱敏配置缓存
+ */
+const compiledCache = new WeakMap()
+
+// 私有方法
+const _actions = {
+  /**
+   * 编译脱敏配置
+   * - 字符串路径以`.`分隔，从后往前匹配字段路径，`*`匹配任意一级字段，不区分大小写，如`password`匹配任意层级的password字段，`headers.authorization`匹配任意层级的headers下的authorization字段
+   * - 正则表达式匹配任意层级的字段名
+   *
+   * @since 1.4.0
+   *
+   * @param {object|Array} options - 脱敏配置
+   *
+   * @returns {object}
+   */
+  compile(options) {
+    if (compiledCache.has(options)) return compiledCache.get(options)
+
+    const config = validation.isArray(options)
+      ? { paths: options }
+      : options
+
+    const compiled = {
+      paths: [],
+      keys: [],
+      values: (config.values || []).map((regexp) => {
+        return regexp.global ? regexp : new RegExp(regexp.source, `${regexp.flags}g`)
+      }),
+      censor: config.censor === undefined ? CENSOR : config.censor,
+    }
+
+    ;(config.paths || []).forEach((path) => {
+      if (path instanceof RegExp) {
+        // 去掉全局标记，避免test方法受lastIndex影响
+        compiled.keys.push(new RegExp(path.source, path.flags.replace('g', '')))
+      } else {
+        compiled.paths.push(String(path).toLowerCase().split('.'))
+      }
+    })
+
+    compiledCache.set(options, compiled)
+
+    return compiled
+  },
+  /**
+   * 判断字段路径是否需要脱敏
+   *
+   * @since 1.4.0
+   *
+   * @param {object} compiled - 已编译的脱敏配置
+   * @param {string[]} path - 字段路径
+   *
+   * @returns {boolean}
+   */
+  matchPath(compiled, path) {
+    const key = path[path.length - 1]
+
+    if (compiled.keys.some((regexp) => {
+      return regexp.test(key)
+    })) {
+      return true
+    }
+
+    return compiled.paths.some((segments) => {
+      if (segments.length > path.length) return false
+
+      const offset = path.length - segments.length
+
+      return segments.every((segment, index) => {
+        return segment === '*' || segment === String(path[offset + index]).toLowerCase()
+      })
+    })
+  },
+  /**
+   * 替换字符串中的敏感值
+   *
+   * @since 1.4.0
+   *
+   * @param {object} compiled - 已编译的脱敏配置
+   * @param {string} value - 字符串
+   *
+   * @returns {string}
+   */
+  replaceValue(compiled, value) {
+    return compiled.values.reduce((result, regexp) => {
+      return result.replace(regexp, compiled.censor)
+    }, value)
+  },
+  /**
+   * 判断是否为以键值对保存数据的内置对象（Headers、URLSearchParams），这类对象的数据保存在内部，无法通过拷贝属性复制
+   *
+   * @since 1.4.0
+   *
+   * @param {object} value - 对象
+   *
+   * @returns {boolean}
+   */
+  isEntries(value) {
+    return ['Headers', 'URLSearchParams'].some((name) => {
+      return validation.isFunction(_env.root[name]) && value instanceof _env.root[name]
+    })
+  },
+  /**
+   * 判断是否为纯对象，包括没有原型的对象
+   *
+   * @since 1.4.0
+   *
+   * @param {object} value - 对象
+   *
+   * @returns {boolean}
+   */
+  isPlain(value) {
+    const proto = Object.getPrototypeOf(value)
+
+    return proto === null || proto === Object.prototype
+  },
+  /**
+   * 深拷贝数据并脱敏
+   * - 只拷贝纯对象、数组、Map、Set及错误对象
+   * - Headers、URLSearchParams转换为键值对对象后脱敏，重复的键以数组保存
+   * - 其他对象（如类实例、Buffer等二进制数据、Promise、URL）原样返回，不会脱敏
+   *
+   * @since 1.4.0
+   *
+   * @param {object} compiled - 已编译的脱敏配置
+   * @param {*} value - 任意数据
+   * @param {string[]} path - 当前字段路径
+   * @param {Map} seen - 已拷贝的对象，用于处理循环引用
+   *
+   * @returns {*}
+   */
+  clone(compiled, value, path, seen) {
+    if (path.length && _actions.matchPath(compiled, path)) return compiled.censor
+
+    if (validation.isString(value)) return _actions.replaceValue(compiled, value)
+
+    // 基本类型、函数，及除纯对象、数组、Map、Set、错误对象及键值对内置对象以外的对象不需要拷贝
+    if (value === null || typeof value !== 'object'
+      || !(validation.isArray(value) || value instanceof Map || value instanceof Set || value instanceof Error
+        || _actions.isEntries(value) || _actions.isPlain(value))) {
+      return value
+    }
+
+    if (seen.has(value)) return seen.get(value)
+
+    const child = (item, key) => {
+      return _actions.clone(compiled, item, [...path, key], seen)
+    }
+
+    let result
+
+    if (validation.isArray(value)) {
+      result = []
+      seen.set(value, result)
+      value.forEach((item, index) => {
+        result.push(child(item, String(index)))
+      })
+    } else if (value instanceof Map) {
+      result = new Map()
+      seen.set(value, result)
+      value.forEach((item, key) => {
+        result.set(key, child(item, String(key)))
+      })
+    } else if (value instanceof Set) {
+      result = new Set()
+      seen.set(value, result)
+      value.forEach((item) => {
+        result.add(_actions.clone(compiled, item, path, seen))
+      })
+    } else if (_actions.isEntries(value)) {
+      result = {}
+      seen.set(value, result)
+      value.forEach((item, key) => {
+        const redacted = child(item, key)
+
+        if (!Object.prototype.hasOwnProperty.call(result, key)) {
+          result[key] = redacted
+        } else {
+          result[key] = [].concat(result[key], redacted)
+        }
+      })
+    } else {
+      // 保留原型（如错误对象），以便控制台正常展示
+      result = Object.create(Object.getPrototypeOf(value))
+      seen.set(value, result)
+
+      if (value instanceof Error) {
+        ['name', 'message', 'stack'].forEach((key) => {
+          if (validation.isString(value[key])) {
+            Object.defineProperty(result, key, {
+              value: _actions.replaceValue(compiled, value[key]),
+              writable: true,
+              configurable: true,
+            })
+          }
+        })
+      }
+
+      Object.keys(value).forEach((key) => {
+        result[key] = child(value[key], key)
+      })
+    }
+
+    return result
+  },
+}
+
+const _redact = {
+  /**
+   * 对参数列表进行深拷贝并脱敏，原始参数不会被修改
+   *
+   * @since 1.4.0
+   *
+   * @param {Array} args - 参数列表
+   * @param {object|Array} options - 脱敏配置，为数组时表示`paths`
+   * @param {Array<string|RegExp>} [options.paths] - 需要脱敏的字段路径或字段名正则
+   * @param {RegExp[]} [options.values] - 需要替换的敏感值正则，作用于所有字符串
+   * @param {string} [options.censor='[REDACTED]'] - 替换文本
+   *
+   * @returns {Array}
+   *
+   * @example
+   * _redact.apply([new Headers({ authorization: 'Bearer x' })], ['authorization'])
+   * // => [{ authorization: '[REDACTED]' }]
+   */
+  apply(args, options) {
+    const compiled = _actions.compile(options)
+    const seen = new Map()
+
+    return args.map((arg) => {
+      return _actions.clone(compiled, arg, [], seen)
+    })
+  },
+}
+
+export default _redact
@@ -0,0 +1,322 @@
+/**
+ * @file 远程日志上报，将打印记录批量发送到指定的服务地址，发送失败时持久化并以指数退避的方式重试
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _env from './_env'
+import _serialize from './_serialize'
+
+/**
+ * 远程上报配置
+ */
+let config = {
+  endpoint: null,
+  remoteLevel: null,
+  batchSize: 50,
+  interval: 5000,
+  headers: {},
+  fetch: null,
+  maxQueue: 1000,
+  backoff: 1000,
+  maxBackoff: 60000,
+  persist: true,
+  key: 'LOGGER_REMOTE_QUEUE',
+  limits: undefined,
+}
+
+/**
+ * 待发送的日志队列
+ */
+let queue = []
+
+/**
+ * 定时发送或重试的定时器
+ */
+let timer = null
+
+/**
+ * 连续发送失败的次数
+ */
+let failures = 0
+
+/**
+ * 正在进行的发送
+ */
+let sending = null
+
+/**
+ * 是否已监听页面卸载及网络恢复事件
+ */
+let listening = false
+
+// 私有方法
+const _actions = {
+  /**
+   * 从存储中读取持久化的待发送队列，使用与打印规则相同的存储适配器，见{@link Logger.setStorage}
+   *
+   * @since 1.4.0
+   *
+   * @returns {object[]}
+   */
+  load() {
+    try {
+      const list = config.persist ? JSON.parse(_env.getItem(config.key)) : null
+
+      return validation.isArray(list) ? list : []
+    } catch (err) {
+      return []
+    }
+  },
+  /**
+   * 持久化待发送队列，队列为空时移除，写入失败（如超出存储配额）时忽略
+   *
+   * @since 1.4.0
+   */
+  save() {
+    if (!config.persist) return
+
+    queue.length
+      ? _env.setItem(config.key, JSON.stringify(queue))
+      : _env.removeItem(config.key)
+  },
+  /**
+   * 延迟发送队列中的日志，已有等待中的发送时不重复设置
+   *
+   * @since 1.4.0
+   *
+   * @param {number} delay - 延迟毫秒数
+   */
+  schedule(delay) {
+    if (timer) return
+
+    timer = _env.defer(() => {
+      timer = null
+      _remote.flush()
+    }, delay)
+  },
+  /**
+   * 是否处于离线状态
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  offline() {
+    const navigator = _env.root.navigator
+
+    return !!navigator && navigator.onLine === false
+  },
+  /**
+   * 发送一批日志
+   *
+   * @since 1.4.0
+   *
+   * @param {object[]} batch - 日志列表
+   *
+   * @returns {Promise} 服务端返回非2xx状态码时拒绝
+   */
+  send(batch) {
+    const fetch = config.fetch || _env.root.fetch
+
+    if (!validation.isFunction(fetch)) return Promise.reject(new Error('fetch is not available'))
+
+    return Promise.resolve(fetch(config.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...config.headers,
+      },
+      body: JSON.stringify({ logs: batch }),
+      keepalive: true,
+    })).then((response) => {
+      if (response && response.ok === false) throw new Error(`HTTP ${response.status}`)
+    })
+  },
+  /**
+   * 依次发送队列中的日志，直到队列为空或发送失败
+   * 发送失败时持久化队列，并以指数退避的方式重试
+   *
+   * @since 1.4.0
+   *
+   * @returns {Promise<boolean>} 是否全部发送成功
+   */
+  drain() {
+    if (!queue.length) return Promise.resolve(true)
+
+    if (_actions.offline()) {
+      _actions.save()
+
+      return Promise.resolve(false)
+    }
+
+    const batch = queue.slice(0, config.batchSize)
+
+    return _actions.send(batch).then(() => {
+      failures = 0
+      queue = queue.filter((entry) => {
+        return batch.indexOf(entry) === -1
+      })
+      _actions.save()
+
+      return _actions.drain()
+    }, () => {
+      failures++
+      _actions.save()
+      _actions.schedule(Math.min(config.backoff * Math.pow(2, failures - 1), config.maxBackoff))
+
+      return false
+    })
+  },
+  /**
+   * 页面卸载时通过`navigator.sendBeacon`发送剩余的日志，发送失败时持久化，下次加载时继续发送
+   * [注]sendBeacon无法设置请求头，以`text/plain`类型发送JSON字符串
+   *
+   * @since 1.4.0
+   */
+  beacon() {
+    const navigator = _env.root.navigator
+
+    if (!queue.length) return
+
+    if (navigator && validation.isFunction(navigator.sendBeacon) && !_actions.offline()) {
+      try {
+        const body = JSON.stringify({ logs: queue })
+
+        if (navigator.sendBeacon(config.endpoint, body)) queue = []
+      } catch (err) {
+        // 发送失败时保留队列
+      }
+    }
+
+    _actions.save()
+  },
+  /**
+   * 监听页面卸载及网络恢复事件，Node.js环境下监听进程退出前的`beforeExit`事件
+   *
+   * @since 1.4.0
+   */
+  listen() {
+    const root = _env.root
+
+    if (listening) return
+
+    listening = true
+
+    if (!root.addEventListener) {
+      // 定时器不阻止进程退出，进程正常退出前发送剩余的日志
+      typeof process !== 'undefined' && validation.isFunction(process.once) && process.once('beforeExit', () => {
+        _remote.flush()
+      })
+
+      return
+    }
+
+    root.addEventListener('pagehide', _actions.beacon)
+    root.addEventListener('visibilitychange', () => {
+      root.document && root.document.visibilityState === 'hidden' && _actions.beacon()
+    })
+    root.addEventListener('online', () => {
+      _remote.flush()
+    })
+  },
+}
+
+const _remote = {
+  /**
+   * 更新远程上报配置，并读取之前持久化的待发送队列
+   *
+   * @since 1.4.0
+   *
+   * @param {object} options - 配置选项
+   */
+  config(options) {
+    config = {
+      ...config,
+      ...options,
+    }
+
+    if (!config.endpoint) return
+
+    queue = [..._actions.load(), ...queue].slice(-config.maxQueue)
+
+    _actions.listen()
+    queue.length && _actions.schedule(0)
+  },
+  /**
+   * 是否启用了远程上报
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  enabled() {
+    return !!config.endpoint
+  },
+  /**
+   * 获取单独的远程上报最低级别，未设置时为null，表示只上报处于激活状态的打印
+   *
+   * @since 1.4.0
+   *
+   * @returns {string|null}
+   */
+  level() {
+    return config.remoteLevel
+  },
+  /**
+   * 将打印记录加入待发送队列
+   * - 队列达到`batchSize`时立即发送，否则等待`interval`毫秒后发送
+   * - 队列超出`maxQueue`时丢弃最早的日志
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   */
+  add(record) {
+    queue.push({
+      ..._serialize.toJSONRecord(record, {
+        ..._serialize.DEFAULT_LIMITS,
+        ...config.limits,
+      }),
+      // 与命名空间规则相同的`命名空间.方法`写法，便于服务端按规则筛选
+      rule: `${record.namespace}.${record.method}`,
+    })
+
+    if (queue.length > config.maxQueue) queue.splice(0, queue.length - config.maxQueue)
+
+    // 重试等待期间不提前发送
+    if (failures) return
+
+    queue.length >= config.batchSize
+      ? _remote.flush()
+      : _actions.schedule(config.interval)
+  },
+  /**
+   * 立即发送队列中的所有日志，正在发送时等待其完成后再发送
+   *
+   * @since 1.4.0
+   *
+   * @returns {Promise<boolean>} 是否全部发送成功
+   */
+  flush() {
+    clearTimeout(timer)
+    timer = null
+
+    if (!sending) {
+      sending = _actions.drain().then((result) => {
+        sending = null
+
+        return result
+      })
+
+      return sending
+    }
+
+    return sending.then(() => {
+      return _remote.flush()
+    })
+  },
+}
+
+export default _remote
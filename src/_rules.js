@@ -0,0 +1,243 @@
+/**
+ * @file 命名空间规则匹配
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+/**
+ * 命名空间层级分隔符，如`app:http:retry`的父级命名空间为`app:http`
+ */
+const SEPARATOR = ':'
+
+/**
+ * 已解析的规则键缓存
+ */
+const parsedCache = new Map()
+
+/**
+ * 规则匹配结果缓存，规则集合对象变更后自动失效
+ */
+const resolvedCache = new WeakMap()
+
+// 私有方法
+const _actions = {
+  /**
+   * 解析命名空间模式
+   *
+   * @since 1.4.0
+   *
+   * @param {string} pattern - 命名空间模式
+   *
+   * @returns {object}
+   */
+  parsePattern(pattern) {
+    const glob = pattern.indexOf('*') !== -1
+
+    return {
+      pattern,
+      glob,
+      regexp: glob ? _rules.toRegExp(pattern) : null,
+      // 非通配字符数，数值越大越具体
+      literal: pattern.replace(/\*/g, '').length,
+    }
+  },
+  /**
+   * 解析规则键
+   * - `-`开头表示取反，即禁用匹配的命名空间
+   * - 以`.`分隔的最后一段表示方法名，如`utils-*.warn`、`*.warn`
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 规则键
+   *
+   * @returns {object}
+   */
+  parseKey(key) {
+    if (parsedCache.has(key)) return parsedCache.get(key)
+
+    const negated = key.charAt(0) === '-'
+    const body = negated ? key.slice(1) : key
+    const dotIndex = body.lastIndexOf('.')
+
+    const parsed = {
+      key,
+      negated,
+      // 整个键作为命名空间模式
+      namespace: _actions.parsePattern(body),
+      // 最后一段作为方法名时的命名空间模式及方法名
+      methodNamespace: dotIndex > 0 ? _actions.parsePattern(body.slice(0, dotIndex)) : null,
+      method: dotIndex > 0 ? body.slice(dotIndex + 1) : null,
+    }
+
+    parsedCache.set(key, parsed)
+
+    return parsed
+  },
+  /**
+   * 判断命名空间模式是否匹配命名空间或其任一父级命名空间
+   *
+   * @since 1.4.0
+   *
+   * @param {object} parsedPattern - 已解析的命名空间模式
+   * @param {string[]} chain - 命名空间及其父级命名空间列表
+   *
+   * @returns {boolean}
+   */
+  matchChain(parsedPattern, chain) {
+    return chain.some((name) => {
+      return parsedPattern.glob
+        ? parsedPattern.regexp.test(name)
+        : parsedPattern.pattern === name
+    })
+  },
+  /**
+   * 比较两个匹配结果的优先级，返回正数表示a优先
+   *
+   * @since 1.4.0
+   *
+   * @param {object} a - 匹配结果
+   * @param {object} b - 匹配结果
+   *
+   * @returns {number}
+   */
+  compare(a, b) {
+    return (a.literal - b.literal)
+      || (a.method - b.method)
+      || (a.exactMethod - b.exactMethod)
+      || (a.exact - b.exact)
+      || (a.negated - b.negated)
+  },
+}
+
+const _rules = {
+  /**
+   * 将通配符模式转换为正则表达式，`*`匹配任意字符
+   *
+   * @since 1.4.0
+   *
+   * @param {string} pattern - 通配符模式
+   *
+   * @returns {RegExp}
+   */
+  toRegExp(pattern) {
+    const source = pattern.split('*').map((part) => {
+      return part.replace(/[|\\{}()[\]^$+?.]/g, '\\$&')
+    }).join('.*')
+
+    return new RegExp(`^${source}$`)
+  },
+  /**
+   * 列出命名空间及其父级命名空间，由近及远
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 命名空间
+   *
+   * @returns {string[]}
+   */
+  chain(name) {
+    const parts = name.split(SEPARATOR)
+
+    return parts.map((part, index) => {
+      return parts.slice(0, parts.length - index).join(SEPARATOR)
+    })
+  },
+  /**
+   * 规范化规则配置
+   * 支持类似`DEBUG`环境变量的字符串写法，以逗号或空格分隔，如`'utils-*,-store:cache,request=warn'`
+   *
+   * @since 1.4.0
+   *
+   * @param {object|string} rules - 规则配置
+   *
+   * @returns {object}
+   */
+  normalize(rules) {
+    if (typeof rules !== 'string') return rules || {}
+
+    return rules.split(/[\s,]+/).filter(Boolean).reduce((result, token) => {
+      const [key, value] = token.split('=')
+
+      result[key] = value === undefined || value === 'true'
+        ? true
+        : value === 'false'
+          ? false
+          : value
+
+      return result
+    }, {})
+  },
+  /**
+   * 匹配命名空间的规则
+   * 优先级由高到低：
+   * 1. 命名空间模式中的非通配字符越多越优先（父级命名空间的名称较短，因此自然排在后面）
+   * 2. 带方法名的规则优先于仅命名空间的规则
+   * 3. 明确方法名优先于`*`方法名
+   * 4. 完全匹配优先于通配符匹配
+   * 5. 取反规则优先
+   *
+   * @since 1.4.0
+   *
+   * @param {object} rules - 规则集合
+   * @param {string} name - 命名空间
+   * @param {string} [method] - 打印方法
+   *
+   * @returns {object|undefined} 未匹配到规则时返回`undefined`，否则返回`{ value, method }`，`method`表示是否由方法规则匹配
+   */
+  resolve(rules, name, method) {
+    let cache = resolvedCache.get(rules)
+
+    if (!cache) {
+      cache = new Map()
+      resolvedCache.set(rules, cache)
+    }
+
+    const cacheKey = `${name}.${method || ''}`
+
+    if (cache.has(cacheKey)) return cache.get(cacheKey)
+
+    const chain = _rules.chain(name)
+    let best
+
+    Object.keys(rules).forEach((key) => {
+      const parsed = _actions.parseKey(key)
+      const candidates = []
+
+      if (_actions.matchChain(parsed.namespace, chain)) {
+        candidates.push({
+          literal: parsed.namespace.literal,
+          method: false,
+          exactMethod: false,
+          exact: !parsed.namespace.glob,
+        })
+      }
+
+      if (method && parsed.method && (parsed.method === method || parsed.method === '*')
+        && _actions.matchChain(parsed.methodNamespace, chain)) {
+        candidates.push({
+          literal: parsed.methodNamespace.literal,
+          method: true,
+          exactMethod: parsed.method === method,
+          exact: !parsed.methodNamespace.glob,
+        })
+      }
+
+      candidates.forEach((candidate) => {
+        candidate.negated = parsed.negated
+        candidate.value = parsed.negated ? false : rules[key]
+
+        if (!best || _actions.compare(candidate, best) > 0) best = candidate
+      })
+    })
+
+    const result = best
+      ? { value: best.value, method: best.method }
+      : undefined
+
+    cache.set(cacheKey, result)
+
+    return result
+  },
+}
+
+export default _rules
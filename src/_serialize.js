@@ -0,0 +1,278 @@
+/**
+ * @file 打印记录序列化，将打印记录转换为单行JSON字符串
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+
+/**
+ * 默认的序列化限制
+ * - maxDepth: 对象最大嵌套层级
+ * - maxStringLength: 单个字符串最大长度
+ * - maxArrayLength: 数组、Map、Set最多保留的元素个数
+ * - maxKeys: 对象最多保留的键个数
+ * - maxLength: 整条JSON字符串的最大长度
+ */
+const DEFAULT_LIMITS = {
+  maxDepth: 6,
+  maxStringLength: 1000,
+  maxArrayLength: 100,
+  maxKeys: 100,
+  maxLength: 10000,
+}
+
+// 私有方法
+const _actions = {
+  /**
+   * 截断过长的字符串
+   *
+   * @since 1.4.0
+   *
+   * @param {string} value - 字符串
+   * @param {number} max - 最大长度
+   *
+   * @returns {string}
+   */
+  truncate(value, max) {
+    return value.length > max
+      ? `${value.slice(0, max)}...[${value.length - max} more chars]`
+      : value
+  },
+  /**
+   * 描述dom节点，如`<div id="app" class="main">`
+   *
+   * @since 1.4.0
+   *
+   * @param {Node} node - dom节点
+   *
+   * @returns {string}
+   */
+  describeNode(node) {
+    if (node.nodeType !== 1) return `[${node.nodeName}]`
+
+    const tag = node.tagName.toLowerCase()
+    const id = node.id ? ` id="${node.id}"` : ''
+    const className = validation.isString(node.className) && node.className ? ` class="${node.className}"` : ''
+
+    return `<${tag}${id}${className}>`
+  },
+  /**
+   * 将错误对象转换为普通对象，保留名称、信息、堆栈及其他自定义属性
+   *
+   * @since 1.4.0
+   *
+   * @param {Error} error - 错误对象
+   * @param {object} limits - 序列化限制
+   * @param {number} depth - 当前层级
+   * @param {Set} seen - 已访问的对象集合
+   *
+   * @returns {object}
+   */
+  serializeError(error, limits, depth, seen) {
+    const result = {
+      name: error.name,
+      message: error.message,
+      stack: error.stack,
+    }
+
+    Object.keys(error).forEach((key) => {
+      result[key] = _serialize.toJSONValue(error[key], limits, depth + 1, seen)
+    })
+
+    return result
+  },
+  /**
+   * 截取数组，超出的部分以提示文本代替
+   *
+   * @since 1.4.0
+   *
+   * @param {Array} list - 数组
+   * @param {object} limits - 序列化限制
+   * @param {number} depth - 当前层级
+   * @param {Set} seen - 已访问的对象集合
+   *
+   * @returns {Array}
+   */
+  serializeList(list, limits, depth, seen) {
+    const result = list.slice(0, limits.maxArrayLength).map((item) => {
+      return _serialize.toJSONValue(item, limits, depth + 1, seen)
+    })
+
+    if (list.length > limits.maxArrayLength) {
+      result.push(`...[${list.length - limits.maxArrayLength} more items]`)
+    }
+
+    return result
+  },
+}
+
+const _serialize = {
+  /**
+   * 默认的序列化限制
+   *
+   * @since 1.4.0
+   *
+   * @type {object}
+   */
+  DEFAULT_LIMITS,
+  /**
+   * 将任意数据转换为可安全JSON序列化的数据
+   * 处理了循环引用、错误对象、dom元素、Map、Set、BigInt、Symbol、函数等数据，以及嵌套层级及长度限制
+   *
+   * @since 1.4.0
+   *
+   * @param {*} value - 任意数据
+   * @param {object} [limits] - 序列化限制，见{@link DEFAULT_LIMITS}
+   * @param {number} [depth=0] - 当前层级
+   * @param {Set} [seen] - 已访问的对象集合
+   *
+   * @returns {*}
+   */
+  toJSONValue(value, limits = DEFAULT_LIMITS, depth = 0, seen = new Set()) {
+    const type = typeof value
+
+    if (value === null || type === 'boolean') return value
+    if (type === 'undefined') return null
+    if (type === 'number') return Number.isFinite(value) ? value : String(value)
+    if (type === 'string') return _actions.truncate(value, limits.maxStringLength)
+    if (type === 'bigint') return `${value}n`
+    if (type === 'symbol') return value.toString()
+    if (type === 'function') return `[Function: ${value.name || 'anonymous'}]`
+
+    if (value instanceof Error) {
+      if (seen.has(value)) return '[Circular]'
+
+      seen.add(value)
+      const result = _actions.serializeError(value, limits, depth, seen)
+      seen.delete(value)
+
+      return result
+    }
+
+    if (value instanceof Date) return isNaN(value.getTime()) ? String(value) : value.toISOString()
+    if (value instanceof RegExp) return String(value)
+    if (validation.isNumber(value.nodeType) && validation.isString(value.nodeName)) return _actions.describeNode(value)
+    if (ArrayBuffer.isView(value)) return `[${value.constructor.name}(${value.length || value.byteLength})]`
+
+    if (seen.has(value)) return '[Circular]'
+
+    if (depth >= limits.maxDepth) {
+      return Array.isArray(value) ? '[Array]' : `[${(value.constructor && value.constructor.name) || 'Object'}]`
+    }
+
+    seen.add(value)
+
+    let result
+
+    if (Array.isArray(value)) {
+      result = _actions.serializeList(value, limits, depth, seen)
+    } else if (value instanceof Map) {
+      result = _actions.serializeList(Array.from(value.entries()), limits, depth, seen)
+    } else if (value instanceof Set) {
+      result = _actions.serializeList(Array.from(value.values()), limits, depth, seen)
+    } else if (validation.isFunction(value.toJSON)) {
+      result = _serialize.toJSONValue(value.toJSON(), limits, depth, seen)
+    } else {
+      const keys = Object.keys(value)
+
+      result = {}
+
+      keys.slice(0, limits.maxKeys).forEach((key) => {
+        result[key] = _serialize.toJSONValue(value[key], limits, depth + 1, seen)
+      })
+
+      if (keys.length > limits.maxKeys) {
+        result['...'] = `[${keys.length - limits.maxKeys} more keys]`
+      }
+    }
+
+    seen.delete(value)
+
+    return result
+  },
+  /**
+   * 将打印记录转换为结构化的JSON对象
+   * - `delta`为距离同一命名空间上一条日志的毫秒数
+   * - 上下文字段合并到`fields`中
+   * - 基本类型的参数拼接为`message`
+   * - 纯对象参数合并到`fields`中
+   * - 第一个错误对象参数作为`fields.error`
+   * - 其他参数依次放入`fields.args`中
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {object} [limits] - 序列化限制
+   *
+   * @returns {object}
+   */
+  toJSONRecord(record, limits = DEFAULT_LIMITS) {
+    const messages = []
+    const fields = {}
+    const others = []
+
+    // 上下文字段在前，参数中的同名字段优先
+    Object.assign(fields, record.context)
+
+    record.args.forEach((arg) => {
+      if (arg === null || (typeof arg !== 'object' && typeof arg !== 'function')) {
+        messages.push(typeof arg === 'string' ? arg : String(arg))
+      } else if (validation.isPlainObject(arg)) {
+        Object.assign(fields, arg)
+      } else if (arg instanceof Error && !fields.error) {
+        fields.error = arg
+      } else {
+        others.push(arg)
+      }
+    })
+
+    if (others.length) fields.args = others
+
+    const result = {
+      time: new Date(record.timestamp).toISOString(),
+      namespace: record.namespace,
+      level: record.level,
+      method: record.method,
+      message: _actions.truncate(messages.join(' '), limits.maxStringLength),
+    }
+
+    if (validation.isNumber(record.delta)) result.delta = record.delta
+    if (record.location) result.location = record.location
+
+    if (Object.keys(fields).length) {
+      result.fields = _serialize.toJSONValue(fields, limits, 0)
+    }
+
+    return result
+  },
+  /**
+   * 将打印记录序列化为单行JSON字符串，超出最大长度时丢弃`fields`并标记为已截断（`truncated`为原始长度）
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {object} [limits] - 序列化限制
+   *
+   * @returns {string}
+   */
+  stringify(record, limits) {
+    const finalLimits = {
+      ...DEFAULT_LIMITS,
+      ...limits,
+    }
+
+    const json = _serialize.toJSONRecord(record, finalLimits)
+    const result = JSON.stringify(json)
+
+    if (result.length <= finalLimits.maxLength) return result
+
+    delete json.fields
+    json.message = _actions.truncate(json.message, Math.floor(finalLimits.maxLength / 2))
+    json.truncated = result.length
+
+    return JSON.stringify(json)
+  },
+}
+
+export default _serialize
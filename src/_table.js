@@ -0,0 +1,204 @@
+/**
+ * @file 表格数据处理，将数组、对象、Map渲染为纯文本表格，用于不支持console.table的环境及文本输出通道
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _serialize from './_serialize'
+
+/**
+ * 索引列及基本类型值列的列名，与console.table保持一致
+ */
+const INDEX_COLUMN = '(index)'
+const VALUES_COLUMN = 'Values'
+
+/**
+ * 单元格中嵌套数据的序列化限制
+ */
+const LIMITS = {
+  maxDepth: 2,
+  maxStringLength: 60,
+  maxArrayLength: 10,
+  maxKeys: 10,
+}
+
+// 私有方法
+const _actions = {
+  /**
+   * 判断是否为对象类型的行数据，对象类型的行数据按列展开
+   *
+   * @since 1.4.0
+   *
+   * @param {*} value - 行数据
+   *
+   * @returns {boolean}
+   */
+  isObject(value) {
+    return value !== null && typeof value === 'object'
+  },
+  /**
+   * 将表格数据转换为索引及行数据列表
+   *
+   * @since 1.4.0
+   *
+   * @param {Array|object|Map} data - 表格数据
+   *
+   * @returns {Array[]} `[索引, 行数据]`列表
+   */
+  entries(data) {
+    if (validation.isArray(data)) {
+      return data.map((row, index) => {
+        return [String(index), row]
+      })
+    }
+
+    if (data instanceof Map) {
+      return Array.from(data.entries()).map(([key, row]) => {
+        return [String(key), row]
+      })
+    }
+
+    return Object.keys(data).map((key) => {
+      return [key, data[key]]
+    })
+  },
+  /**
+   * 转换单元格内容，嵌套数据以紧凑的JSON字符串表示
+   *
+   * @since 1.4.0
+   *
+   * @param {*} value - 单元格数据
+   *
+   * @returns {string}
+   */
+  cell(value) {
+    if (value === undefined) return ''
+
+    const json = validation.isString(value) ? value : _serialize.toJSONValue(value, LIMITS)
+    const text = validation.isString(json) ? json : JSON.stringify(json)
+
+    // 换行会破坏表格结构
+    return text.replace(/\r?\n/g, '\\n')
+  },
+  /**
+   * 生成表格分隔线
+   *
+   * @since 1.4.0
+   *
+   * @param {number[]} widths - 各列宽度
+   *
+   * @returns {string}
+   */
+  divider(widths) {
+    return `+${widths.map((width) => {
+      return '-'.repeat(width + 2)
+    }).join('+')}+`
+  },
+  /**
+   * 生成表格行
+   *
+   * @since 1.4.0
+   *
+   * @param {string[]} cells - 单元格内容
+   * @param {number[]} widths - 各列宽度
+   *
+   * @returns {string}
+   */
+  line(cells, widths) {
+    return `| ${cells.map((cell, index) => {
+      return cell + ' '.repeat(widths[index] - cell.length)
+    }).join(' | ')} |`
+  },
+}
+
+const _table = {
+  /**
+   * 判断数据是否可以按表格打印：数组、Map或对象
+   *
+   * @since 1.4.0
+   *
+   * @param {*} data - 任意数据
+   *
+   * @returns {boolean}
+   */
+  isTabular(data) {
+    return validation.isArray(data) || validation.isPlainObject(data) || data instanceof Map
+  },
+  /**
+   * 将表格数据转换为表头及各行单元格内容
+   * - 对象类型的行数据按列展开，未指定列时取所有行的键的并集
+   * - 基本类型的行数据放在`Values`列
+   *
+   * @since 1.4.0
+   *
+   * @param {Array|object|Map} data - 表格数据
+   * @param {string[]} [columns] - 只显示的列
+   *
+   * @returns {object} `{ head, rows }`
+   */
+  normalize(data, columns) {
+    const entries = _actions.entries(data)
+    let keys = columns
+
+    if (!keys) {
+      keys = []
+
+      entries.forEach(([, row]) => {
+        _actions.isObject(row) && Object.keys(row).forEach((key) => {
+          keys.indexOf(key) === -1 && keys.push(key)
+        })
+      })
+    }
+
+    const hasValues = entries.some(([, row]) => {
+      return !_actions.isObject(row)
+    })
+
+    const head = [INDEX_COLUMN, ...keys.map(String), ...(hasValues ? [VALUES_COLUMN] : [])]
+
+    const rows = entries.map(([index, row]) => {
+      const object = _actions.isObject(row)
+      const cells = keys.map((key) => {
+        return object ? _actions.cell(row[key]) : ''
+      })
+
+      return [index, ...cells, ...(hasValues ? [object ? '' : _actions.cell(row)] : [])]
+    })
+
+    return { head, rows }
+  },
+  /**
+   * 将表格数据渲染为纯文本表格
+   *
+   * @since 1.4.0
+   *
+   * @param {Array|object|Map} data - 表格数据
+   * @param {string[]} [columns] - 只显示的列
+   *
+   * @returns {string}
+   */
+  render(data, columns) {
+    const { head, rows } = _table.normalize(data, columns)
+
+    const widths = head.map((title, index) => {
+      return rows.reduce((max, row) => {
+        return Math.max(max, row[index].length)
+      }, title.length)
+    })
+
+    const divider = _actions.divider(widths)
+
+    return [
+      divider,
+      _actions.line(head, widths),
+      divider,
+      ...rows.map((row) => {
+        return _actions.line(row, widths)
+      }),
+      divider,
+    ].join('\n')
+  },
+}
+
+export default _table
@@ -0,0 +1,211 @@
+/**
+ * @file 打印频率限制，按命名空间限制单位时间内的打印条数，并折叠连续重复的打印
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import _env from './_env'
+import _serialize from './_serialize'
+
+/**
+ * 比较打印内容是否相同时的序列化限制
+ */
+const LIMITS = {
+  maxDepth: 3,
+  maxStringLength: 200,
+  maxArrayLength: 20,
+  maxKeys: 20,
+}
+
+/**
+ * 折叠重复打印时，默认无新打印多少毫秒后输出重复次数
+ */
+const COLLAPSE_DELAY = 1000
+
+/**
+ * 各个命名空间的限制状态
+ */
+const states = new Map()
+
+/**
+ * 已打印过的只打印一次的内容
+ */
+const printedOnce = new Set()
+
+// 私有方法
+const _actions = {
+  /**
+   * 获取命名空间的限制状态，不存在时创建
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 命名空间
+   *
+   * @returns {object}
+   */
+  state(name) {
+    if (!states.has(name)) {
+      states.set(name, {
+        windowStart: 0,
+        count: 0,
+        suppressed: 0,
+        suppressedTimer: null,
+        lastKey: null,
+        lastMethod: null,
+        repeats: 0,
+        repeatsTimer: null,
+      })
+    }
+
+    return states.get(name)
+  },
+  /**
+   * 输出被频率限制丢弃的条数
+   *
+   * @since 1.4.0
+   *
+   * @param {object} state - 限制状态
+   * @param {object} rateLimit - 频率限制配置
+   * @param {function} emit - 输出函数
+   */
+  flushSuppressed(state, rateLimit, emit) {
+    clearTimeout(state.suppressedTimer)
+    state.suppressedTimer = null
+
+    if (!state.suppressed) return
+
+    const count = state.suppressed
+
+    state.suppressed = 0
+    emit('warn', [`suppressed ${count} messages (rate limit: ${rateLimit.max} per ${rateLimit.interval}ms)`])
+  },
+  /**
+   * 输出被折叠的重复打印的次数
+   *
+   * @since 1.4.0
+   *
+   * @param {object} state - 限制状态
+   * @param {function} emit - 输出函数
+   */
+  flushRepeats(state, emit) {
+    clearTimeout(state.repeatsTimer)
+    state.repeatsTimer = null
+
+    if (!state.repeats) return
+
+    const count = state.repeats
+
+    state.repeats = 0
+    emit(state.lastMethod, [`last message repeated ${count} more times`])
+  },
+}
+
+const _throttle = {
+  /**
+   * 生成打印内容的比较键，相同打印方法及参数内容的打印具有相同的键
+   *
+   * @since 1.4.0
+   *
+   * @param {string} method - 打印方法
+   * @param {Array} args - 参数列表
+   *
+   * @returns {string}
+   */
+  key(method, args) {
+    return `${method}:${JSON.stringify(args.map((arg) => {
+      return _serialize.toJSONValue(arg, LIMITS)
+    }))}`
+  },
+  /**
+   * 判断本次打印是否允许输出
+   * - 连续重复的打印只输出第一条，之后出现不同的打印或一段时间内没有新的打印时，输出重复次数
+   * - 超出频率限制的打印被丢弃，当前时间窗口结束后输出丢弃的条数
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 命名空间
+   * @param {string} method - 打印方法
+   * @param {Array} args - 参数列表
+   * @param {object} options - 配置选项
+   * @param {object} [options.rateLimit] - 频率限制配置
+   * @param {number} options.rateLimit.max - 时间窗口内最多输出的条数
+   * @param {number} options.rateLimit.interval - 时间窗口的毫秒数
+   * @param {boolean|number} [options.collapse] - 是否折叠连续重复的打印，为数字时表示无新打印多少毫秒后输出重复次数
+   * @param {function} emit - 输出汇总信息的函数，接收参数为打印方法及参数列表
+   *
+   * @returns {boolean}
+   */
+  allow(name, method, args, options, emit) {
+    const state = _actions.state(name)
+    const { rateLimit, collapse } = options
+
+    if (collapse) {
+      const key = _throttle.key(method, args)
+
+      if (key === state.lastKey) {
+        state.repeats++
+
+        clearTimeout(state.repeatsTimer)
+        state.repeatsTimer = _env.defer(() => {
+          _actions.flushRepeats(state, emit)
+        }, collapse === true ? COLLAPSE_DELAY : collapse)
+
+        return false
+      }
+
+      _actions.flushRepeats(state, emit)
+      state.lastKey = key
+      state.lastMethod = method
+    }
+
+    if (rateLimit) {
+      const now = Date.now()
+
+      if (now - state.windowStart >= rateLimit.interval) {
+        _actions.flushSuppressed(state, rateLimit, emit)
+        state.windowStart = now
+        state.count = 0
+      }
+
+      if (++state.count > rateLimit.max) {
+        state.suppressed++
+        // 被丢弃的打印不作为重复打印的比较对象
+        state.lastKey = null
+
+        if (!state.suppressedTimer) {
+          state.suppressedTimer = _env.defer(() => {
+            _actions.flushSuppressed(state, rateLimit, emit)
+          }, state.windowStart + rateLimit.interval - now)
+        }
+
+        return false
+      }
+    }
+
+    return true
+  },
+  /**
+   * 判断内容是否已打印过
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 比较键
+   *
+   * @returns {boolean}
+   */
+  printed(key) {
+    return printedOnce.has(key)
+  },
+  /**
+   * 标记内容已打印过
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 比较键
+   */
+  markPrinted(key) {
+    printedOnce.add(key)
+  },
+}
+
+export default _throttle
@@ -0,0 +1,91 @@
+/**
+ * @file 内置日志输出通道
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import validation from '@~lisfan/validation'
+import _format from './_format'
+import _serialize from './_serialize'
+import _table from './_table'
+import _console from './_console'
+
+/**
+ * 可以直接调用的console输出方法，其他方法（如count、timeEnd）统一使用console.log输出
+ */
+const PRINT_METHODS = ['log', 'info', 'debug', 'warn', 'error', 'trace']
+
+const _transports = {
+  /**
+   * 控制台输出通道，默认的输出通道
+   * - 带颜色的打印记录，会在前面加上前缀（默认为`[命名空间]:`，可通过实例配置项`prefix`自定义），浏览器中使用`%c`样式，终端中使用ANSI颜色；第一个参数为字符串时与前缀合并，保留其中的格式化占位符
+   * - 原样代理的打印记录（如group、dir等），直接调用同名的console方法
+   * - 表格打印记录先输出前缀，再调用console.table，不支持console.table的环境输出纯文本表格
+   * - 实例配置项`format`为'json'时，每条打印记录输出为单行JSON字符串
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {Logger} [logger] - Logger实例
+   */
+  console(record, logger) {
+    // 全局console被替换时使用原始的console方法，避免递归调用
+    const output = _console.original()
+
+    if (logger && logger.$options.format === 'json') {
+      // 以JSON格式输出时不打印调用栈，保持单行输出
+      const method = record.method !== 'trace' && PRINT_METHODS.indexOf(record.method) !== -1 ? record.method : 'log'
+
+      output[method](_serialize.stringify(record, logger.$options.limits))
+      return
+    }
+
+    if (record.raw) {
+      output[record.method](...record.args)
+      return
+    }
+
+    // 遍历参数列表，找出dom元素，进行转换
+    const args = record.args.map((arg) => {
+      return validation.isElement(arg)
+        ? [arg]
+        : arg
+    })
+
+    const options = logger ? logger.$options : {}
+    const mode = _format.colorMode(options.colorMode)
+    const template = options.prefix || '[{name}]:'
+    let text = _format.template(template, record, options.timestamp)
+
+    // 前缀模板中没有`{location}`占位符时，调用位置附加在前缀之后
+    if (record.location && template.indexOf('{location}') === -1) text += ` (${record.location})`
+
+    // 表格先输出前缀作为标题，不支持console.table的环境输出纯文本表格
+    if (record.method === 'table') {
+      const [data, columns] = record.args
+
+      if (validation.isFunction(output.table)) {
+        output.log(..._format.prefix(text, record.color, mode))
+        output.table(data, columns)
+      } else {
+        output.log(..._format.prefix(text, record.color, mode), `\n${_table.render(data, columns)}`)
+      }
+      return
+    }
+
+    const method = PRINT_METHODS.indexOf(record.method) !== -1 ? record.method : 'log'
+    const [format, ...styles] = _format.prefix(text, record.color, mode)
+    // 上下文字段输出在前缀之后
+    const context = record.context ? [record.context] : []
+
+    // 第一个参数为字符串时与前缀合并，其中的格式化占位符（如`%s`、`%d`）才能被console替换
+    if (validation.isString(args[0])) {
+      output[method](`${format}${context.length ? ' %O' : ''} ${args[0]}`, ...styles, ...context, ...args.slice(1))
+      return
+    }
+
+    output[method](format, ...styles, ...context, ...args)
+  },
+}
+
+export default _transports
@@ -6,16 +6,117 @@
  */
 
 import validation from '@~lisfan/validation'
+import _rules from './_rules'
+import _transports from './_transports'
+import _env from './_env'
+import _serialize from './_serialize'
+import _color from './_color'
+import _history from './_history'
+import _redact from './_redact'
+import _throttle from './_throttle'
+import _table from './_table'
+import _context from './_context'
+import _remote from './_remote'
+import _capture from './_capture'
+import _console from './_console'
+import _location from './_location'
+import _format from './_format'
 
 /**
- * 从`localStorage`的`LOGGER_RULES`键中读取**打印规则**配置，以便可以在生产环境开启日志打印调试
+ * 通过`Logger.configRules`配置的**打印规则**
+ * [注]从`localStorage`的`LOGGER_RULES`键（Node.js环境下为`LOGGER_RULES`或`DEBUG`环境变量）中读取的规则每次都会实时读取，且优先级最高
  */
-const LOGGER_RULES = JSON.parse(global.localStorage.getItem('LOGGER_RULES')) || {}
+let configuredRules = {}
 
 /**
- * 从`localStorage`的`IS_DEV`键中读取是否为**开发环境**配置，以便可以在生产环境开启日志打印调试
+ * 合并后的打印规则缓存，两处规则均未变化时直接复用
  */
-const IS_DEV = JSON.parse(global.localStorage.getItem('IS_DEV')) || process.env.NODE_ENV === 'development'
+let mergedRules = { configured: null, stored: null, value: {} }
+
+/**
+ * 规则、开发环境配置及实例注册表变化的监听函数集合
+ */
+const listeners = new Set()
+
+/**
+ * 各个命名空间上一条日志的时间戳，用于计算时间间隔
+ */
+const lastTimestamps = new Map()
+
+/**
+ * 标记错误对象已被error方法打印过，避免全局错误捕获时重复打印
+ */
+const LOGGED = typeof Symbol === 'function' ? Symbol('logged') : '__logged__'
+
+/**
+ * 延迟求值参数的标记，及非激活状态下记录到历史记录中的占位文本
+ */
+const LAZY = typeof Symbol === 'function' ? Symbol('lazy') : '__lazy__'
+const LAZY_PLACEHOLDER = '[lazy]'
+
+/**
+ * 各个命名空间的计时器及计数器
+ */
+const timersStore = new Map()
+const countersStore = new Map()
+
+/**
+ * 未关闭的组所属的命名空间，与console的组共用同一个栈
+ */
+const groupStack = []
+
+/**
+ * 默认替换的全局console方法
+ */
+const PATCH_METHODS = ['log', 'info', 'debug', 'warn', 'error', 'trace']
+
+/**
+ * 配置项`location`为'bind'时，直接返回绑定了前缀的console方法的打印方法
+ */
+const BIND_METHODS = ['log', 'info', 'debug', 'warn', 'trace']
+
+/**
+ * 空函数，绑定模式下处于非激活状态时返回
+ */
+const NOOP = () => {}
+
+/**
+ * 是否正在处理被替换的console方法的调用或正在分发到输出通道，此时被替换的console方法直接使用原始方法，唯一的函数参数不作为延迟求值的参数
+ */
+let routingConsole = false
+
+/**
+ * 是否正在打印只打印一次的信息，此时不受频率限制，以保证标记为已打印的信息确实输出了
+ */
+let printingOnce = false
+
+/**
+ * 实例注册表，以命名空间为键，同一命名空间只登记第一个创建的实例
+ */
+const registry = new Map()
+
+/**
+ * 日志级别，数值越大越严重，`silent`表示不打印任何日志
+ */
+const LEVELS = {
+  trace: 0,
+  debug: 1,
+  info: 2,
+  warn: 3,
+  error: 4,
+  silent: 5,
+}
+
+/**
+ * 打印方法与日志级别的映射，未列出的方法均视为`info`级别
+ */
+const METHOD_LEVELS = {
+  trace: 'trace',
+  debug: 'debug',
+  warn: 'warn',
+  error: 'error',
+  assert: 'error',
+}
 
 // 私有方法
 const _actions = {
@@ -50,23 +151,31 @@ const _actions = {
    * @returns {Logger}
    */
   logProxyRun(self, method, color, ...args) {
-    // 处于非激活状态的话则不输出日志
-    if (!self.isActivated(method)) {
+    const activated = self.isActivated(method)
+
+    // 处于非激活状态，且不需要记录到历史记录中及远程上报时，直接返回
+    if (!activated && !_history.enabled() && !_remote.enabled()) {
       return self
     }
 
-    let formatStr = `%c[${self.$name}]:%c`
+    args = _actions.redact(self, _actions.resolve(args, activated, !routingConsole), activated)
 
-    // 遍历参数列表，找出dom元素，进行转换
-    args = args.map((arg) => {
-      return validation.isElement(arg)
-        ? [arg]
-        : arg
-    })
+    const record = _actions.baseRecord(self, method, args, activated)
+
+    _actions.track(record, activated)
+    _actions.ship(record, activated)
+
+    // 测试捕获时拦截输出
+    if (_actions.capture(record)) {
+      return self
+    }
+
+    // 处于非激活状态，或超出频率限制的话则不输出日志
+    if (!activated || !_actions.throttle(self, method, args)) {
+      return self
+    }
 
-    /* eslint-disable no-console */
-    console[method](formatStr, `color: ${color}`, '', ...args)
-    /* eslint-enable no-console */
+    _actions.dispatch(self, _actions.stamp(self, record, { color }))
 
     return self
   },
@@ -83,61 +192,1233 @@ const _actions = {
    * @returns {Logger}
    */
   proxyRun(self, method, ...args) {
-    /* eslint-disable no-console */
-    self.isActivated(method) && console[method](...args)
-    /* eslint-enable no-console */
+    const activated = self.isActivated(method)
+
+    if (!activated && !_history.enabled()) {
+      return self
+    }
+
+    args = _actions.redact(self, _actions.resolve(args, activated, false), activated)
+
+    const record = _actions.baseRecord(self, method, args, activated)
+
+    _actions.track(record, activated)
+
+    activated && !_actions.capture(record)
+      && _actions.dispatch(self, _actions.stamp(self, record, { raw: true }))
 
     return self
+  },
+  /**
+   * 对延迟求值的参数求值
+   * - 处于激活状态时才求值，求值出错时以错误对象作为参数
+   * - 非激活状态下以占位文本代替，不会求值
+   *
+   * @since 1.4.0
+   *
+   * @param {Array} args - 参数列表
+   * @param {boolean} activated - 是否处于激活状态
+   * @param {boolean} sole - 唯一的函数参数是否也视为延迟求值的参数
+   *
+   * @returns {Array}
+   */
+  resolve(args, activated, sole) {
+    const isLazy = (arg) => {
+      return !!arg && (arg[LAZY] || (sole && args.length === 1 && validation.isFunction(arg)))
+    }
+
+    if (!args.some(isLazy)) return args
+
+    return args.map((arg) => {
+      if (!isLazy(arg)) return arg
+      if (!activated) return LAZY_PLACEHOLDER
+
+      try {
+        return (arg[LAZY] || arg)()
+      } catch (err) {
+        return err
+      }
+    })
+  },
+  /**
+   * 根据配置项`redact`对参数进行深拷贝并脱敏
+   * 只在参数会被输出、记录到历史记录中或远程上报时才处理
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {Array} args - 参数列表
+   * @param {boolean} activated - 是否处于激活状态
+   *
+   * @returns {Array}
+   */
+  redact(self, args, activated) {
+    const options = self.$options.redact
+
+    return options && (activated || _history.enabled() || _remote.enabled())
+      ? _redact.apply(args, options)
+      : args
+  },
+  /**
+   * 根据配置项`rateLimit`、`collapse`判断本次打印是否允许输出
+   * 汇总信息（丢弃的条数、重复次数）直接分发到输出通道，不再受限制
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法
+   * @param {Array} args - 参数列表
+   *
+   * @returns {boolean}
+   */
+  throttle(self, method, args) {
+    const options = self.$options
+
+    if (printingOnce || (!options.rateLimit && !options.collapse)) return true
+
+    return _throttle.allow(self.$name, method, args, options, (summaryMethod, summaryArgs) => {
+      _actions.dispatch(self, _actions.stamp(self, _actions.baseRecord(self, summaryMethod, summaryArgs), { color: self.$color }))
+    })
+  },
+  /**
+   * 同一命名空间下相同内容只打印一次，未实际输出时不标记，不受配置项`rateLimit`、`collapse`的限制
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法
+   * @param {Array} args - 参数列表
+   *
+   * @returns {Logger}
+   */
+  once(self, method, args) {
+    if (!self.isActivated(method)) return _actions.logProxyRun(self, method, self.$color, ...args)
+
+    // 以求值后的参数作为比较内容
+    const resolved = _actions.resolve(args, true, true)
+    const key = `${self.$name}|${_throttle.key(method, resolved)}`
+
+    if (_throttle.printed(key)) return self
+
+    _throttle.markPrinted(key)
+
+    printingOnce = true
+
+    try {
+      return _actions.logProxyRun(self, method, self.$color, ...resolved)
+    } finally {
+      printingOnce = false
+    }
+  },
+  /**
+   * 记录到历史记录中，非激活状态的打印也会被记录
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {boolean} activated - 是否处于激活状态
+   */
+  track(record, activated) {
+    if (!_history.enabled()) return
+
+    _history.add(record, activated)
+  },
+  /**
+   * 远程上报
+   * 设置了`remoteLevel`时，上报达到该级别的打印（不论是否处于激活状态），否则只上报处于激活状态的打印
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {boolean} activated - 是否处于激活状态
+   */
+  ship(record, activated) {
+    if (!_remote.enabled() || _capture.active()) return
+
+    const level = _remote.level()
+
+    if (level ? _actions.isLevelEnabled(record.method, level) : activated) {
+      _remote.add(record)
+    }
+  },
+  /**
+   * 测试捕获时，将打印记录加入捕获的记录列表
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   *
+   * @returns {boolean} 是否正在捕获
+   */
+  capture(record) {
+    if (!_capture.active()) return false
+
+    _capture.add(record)
+
+    return true
+  },
+  /**
+   * 创建不含时间间隔的打印记录，用于输出通道、历史记录、远程上报及测试捕获
+   * 开启了配置项`location`时，处于激活状态的打印会带上调用位置
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法
+   * @param {Array} args - 参数列表
+   * @param {boolean} [activated] - 是否处于激活状态
+   *
+   * @returns {object}
+   */
+  baseRecord(self, method, args, activated) {
+    const context = _actions.context(self)
+    const location = activated && self.$options.location ? _location.capture() : undefined
+
+    return {
+      namespace: self.$name,
+      method,
+      level: METHOD_LEVELS[method] || 'info',
+      timestamp: Date.now(),
+      args,
+      ...(context ? { context } : {}),
+      ...(location ? { location } : {}),
+    }
+  },
+  /**
+   * 获取打印时的上下文字段，合并当前作用域的上下文字段及实例绑定的上下文字段，并根据配置项`redact`脱敏
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   *
+   * @returns {object|undefined} 没有上下文字段时返回undefined
+   */
+  context(self) {
+    const scoped = _context.current()
+
+    if (!scoped && !self.$context) return undefined
+
+    const context = {
+      ...scoped,
+      ...self.$context,
+    }
+
+    // 上下文字段同样需要脱敏
+    return self.$options.redact
+      ? _redact.apply([context], self.$options.redact)[0]
+      : context
+  },
+  /**
+   * 为打印记录加上距离同一命名空间上一条日志的时间间隔，作为分发到输出通道的结构化打印记录
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {object} record - 打印记录
+   * @param {object} [extra] - 其他记录字段
+   *
+   * @returns {object}
+   */
+  stamp(self, record, extra) {
+    const last = lastTimestamps.get(self.$name)
+
+    lastTimestamps.set(self.$name, record.timestamp)
+
+    return {
+      ...record,
+      delta: last === undefined ? 0 : record.timestamp - last,
+      ...extra,
+    }
+  },
+  /**
+   * 将打印记录分发到各个输出通道
+   * 单个输出通道出错时不影响其他输出通道
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {object} record - 打印记录
+   * @param {function} [skipped] - 跳过的输出通道
+   */
+  dispatch(self, record, skipped) {
+    const routing = routingConsole
+
+    // 输出通道中调用的console方法不再经过被替换的console方法
+    routingConsole = true
+
+    try {
+      self.$transports.forEach((transport) => {
+        if (transport === skipped) return
+
+        try {
+          transport(record, self)
+        } catch (err) {
+          _console.original().error(err)
+        }
+      })
+    } finally {
+      routingConsole = routing
+    }
+  },
+  /**
+   * 将参数列表转换为待抛出的错误对象
+   * 若参数中存在错误对象，则直接使用该错误对象，保留原始的错误堆栈
+   *
+   * @since 1.4.0
+   *
+   * @param {Array} args - 参数列表
+   *
+   * @returns {Error}
+   */
+  toError(args) {
+    const error = args.find((arg) => {
+      return arg instanceof Error
+    })
+
+    if (error) return error
+
+    const message = args.map((value) => {
+      if (validation.isPlainObject(value) || validation.isArray(value)) {
+        try {
+          return JSON.stringify(value)
+        } catch (err) {
+          // 循环引用等无法序列化的数据，使用默认的字符串转换
+        }
+      }
+
+      return String(value)
+    }).join(' ')
+
+    return new Error(message)
+  },
+  /**
+   * 获取合并后的打印规则，从存储中读取的规则优先级最高
+   *
+   * @since 1.4.0
+   *
+   * @returns {object}
+   */
+  rules() {
+    const stored = _env.readRules()
+
+    if (mergedRules.configured !== configuredRules || mergedRules.stored !== stored) {
+      mergedRules = {
+        configured: configuredRules,
+        stored,
+        value: {
+          ...configuredRules,
+          ...stored,
+        },
+      }
+    }
+
+    return mergedRules.value
+  },
+  /**
+   * 通知规则、开发环境配置或实例注册表发生了变化
+   *
+   * @since 1.4.0
+   *
+   * @param {string} type - 变化类型：'rules'、'dev'、'register'
+   */
+  notify(type) {
+    listeners.forEach((listener) => {
+      listener(type)
+    })
+  },
+  /**
+   * 获取命名空间下的计时器或计数器集合，不存在时创建
+   *
+   * @since 1.4.0
+   *
+   * @param {Map} store - 计时器或计数器的存储
+   * @param {string} name - 命名空间
+   *
+   * @returns {Map}
+   */
+  scope(store, name) {
+    if (!store.has(name)) store.set(name, new Map())
+
+    return store.get(name)
+  },
+  /**
+   * 计算计时器已消耗的时间并输出
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法：'timeLog'或'timeEnd'
+   * @param {string} label - 标签名称
+   * @param {Array} data - 附加输出的数据
+   *
+   * @returns {number|undefined}
+   */
+  timeRun(self, method, label, data) {
+    const start = _actions.scope(timersStore, self.$name).get(label)
+
+    if (start === undefined) {
+      _actions.logProxyRun(self, 'warn', self.$color, `Timer '${label}' does not exist`)
+
+      return undefined
+    }
+
+    const duration = _env.now() - start
+
+    _actions.logProxyRun(self, method, self.$color, `${label}: ${duration.toFixed(3)}ms`, ...data)
+
+    return duration
+  },
+  /**
+   * 开始一个组，处于激活状态时才记录组所属的命名空间
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法：'group'或'groupCollapsed'
+   * @param {string} label - 标签名称
+   *
+   * @returns {Logger}
+   */
+  groupStart(self, method, label) {
+    if (self.isActivated(method)) {
+      groupStack.push(self.$name)
+    }
+
+    return _actions.proxyRun(self, method, label)
+  },
+  /**
+   * 运行函数并输出调用参数、返回值或错误，以及消耗的时间
+   * - 调用参数及返回值以`debug`级别输出
+   * - 同步抛出的错误或Promise的拒绝原因以`warn`级别输出，并继续向外抛出
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} label - 标签名称
+   * @param {function} run - 被执行的函数
+   * @param {Array} [args] - 调用参数，不传时不输出调用参数
+   *
+   * @returns {*} 函数的返回值
+   */
+  instrument(self, label, run, args) {
+    const start = _env.now()
+    const elapsed = () => {
+      return `(${(_env.now() - start).toFixed(3)}ms)`
+    }
+    const fail = (err) => {
+      _actions.logProxyRun(self, 'warn', self.$color, `${label} failed ${elapsed()}`, err)
+    }
+
+    args && _actions.logProxyRun(self, 'debug', self.$color, `${label} called with`, ...args)
+
+    let result
+
+    try {
+      result = run()
+    } catch (err) {
+      fail(err)
+      throw err
+    }
+
+    if (result && validation.isFunction(result.then)) {
+      return result.then((value) => {
+        _actions.logProxyRun(self, 'debug', self.$color, `${label} resolved ${elapsed()}`, value)
+
+        return value
+      }, (err) => {
+        fail(err)
+        throw err
+      })
+    }
+
+    _actions.logProxyRun(self, 'debug', self.$color, `${label} returned ${elapsed()}`, result)
+
+    return result
+  },
+  /**
+   * 标记错误对象已被打印过
+   *
+   * @since 1.4.0
+   *
+   * @param {Error} error - 错误对象
+   */
+  markLogged(error) {
+    try {
+      Object.defineProperty(error, LOGGED, { value: true })
+    } catch (err) {
+      // 冻结的对象无法标记，忽略
+    }
+  },
+  /**
+   * 配置项`location`为'bind'时，将实例的打印方法替换为返回绑定了前缀的console方法的getter
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   */
+  bindMethods(self) {
+    BIND_METHODS.forEach((method) => {
+      Object.defineProperty(self, method, {
+        configurable: true,
+        get() {
+          return _actions.bind(this, method)
+        },
+      })
+    })
+  },
+  /**
+   * 获取绑定了前缀（及上下文字段）的console方法，由于没有经过中间函数调用，开发者工具中显示的是真实的调用位置
+   * - 处于非激活状态时返回空函数
+   * - 'json'格式、测试捕获期间或使用了自定义输出通道时无法直接绑定，返回常规的打印方法
+   * [注]前缀中的时间戳为获取方法时的时间；绑定的方法直接输出到控制台，不经过历史记录、远程上报、脱敏及频率限制
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} self - Logger实例
+   * @param {string} method - 打印方法
+   *
+   * @returns {function}
+   */
+  bind(self, method) {
+    const transports = self.$transports
+    const options = self.$options
+
+    if (options.format === 'json' || _capture.active()
+      || transports.length !== 1 || transports[0] !== _transports.console) {
+      return Logger.prototype[method].bind(self)
+    }
+
+    if (!self.isActivated(method)) return NOOP
+
+    const record = _actions.stamp(self, _actions.baseRecord(self, method, []))
+    const text = _format.template(options.prefix || '[{name}]:', record, options.timestamp)
+    const prefix = _format.prefix(text, self.$color, _format.colorMode(options.colorMode))
+    const output = _console.original()
+
+    return record.context
+      ? output[method].bind(output, ...prefix, record.context)
+      : output[method].bind(output, ...prefix)
+  },
+  /**
+   * 判断是否为合法的日志级别
+   *
+   * @since 1.4.0
+   *
+   * @param {*} level - 日志级别
+   *
+   * @returns {boolean}
+   */
+  isLevel(level) {
+    return validation.isString(level) && Object.prototype.hasOwnProperty.call(LEVELS, level)
+  },
+  /**
+   * 判断打印方法是否达到了最低日志级别
+   * 未指定打印方法时，只要最低日志级别不为`silent`即视为达到
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [method] - 打印方法
+   * @param {string} level - 最低日志级别
+   *
+   * @returns {boolean}
+   */
+  isLevelEnabled(method, level) {
+    const methodLevel = method
+      ? METHOD_LEVELS[method] || 'info'
+      : 'error'
+
+    return LEVELS[methodLevel] >= LEVELS[level]
+  }
+}
+
+/**
+ * @classdesc 日志打印类
+ *
+ * @class
+ */
+class Logger {
+  /**
+   * 打印器命名空间规则配置项
+   * - 可以配置整个命名空间是否输出日志
+   * - 也可以配置命名空间下某个实例方法是否输出日志
+   * - 支持通配符`*`，如`utils-*`、`*.warn`、`store:*`
+   * - 支持`-`开头的取反规则，如`-store:cache`，表示禁用匹配的命名空间
+   * - 以`:`分隔的子命名空间未匹配到规则时，会继承父级命名空间的规则，如`app:http:retry`依次回退到`app:http`、`app`
+   * - 从存储中读取的规则每次都会实时读取，修改后所有实例立即生效，无需刷新页面
+   *
+   * @since 1.2.0
+   *
+   * @static
+   * @readonly
+   * @memberOf Logger
+   *
+   * @type {object}
+   * @property {object} rules - 打印器命名空间规则配置集合
+   */
+  static get rules() {
+    return _actions.rules()
+  }
+
+  static set rules(rules) {
+    configuredRules = _rules.normalize(rules)
+    _actions.notify('rules')
+  }
+
+  /**
+   * 日志级别，从低到高依次为：trace < debug < info < warn < error < silent
+   *
+   * @since 1.4.0
+   *
+   * @static
+   * @readonly
+   * @memberOf Logger
+   *
+   * @type {object}
+   */
+  static levels = LEVELS
+
+  /**
+   * 全局输出通道列表，每次打印都会生成一条结构化的打印记录，依次分发给各个输出通道
+   * 默认只有控制台输出通道{@link Logger.consoleTransport}
+   * [注]error方法只抛出错误时（配置项`errorMode`为'throw'），不会分发给控制台输出通道，由运行环境输出抛出的错误
+   *
+   * 打印记录包含以下字段：
+   * - namespace: 命名空间
+   * - method: 打印方法
+   * - level: 日志级别
+   * - timestamp: 时间戳
+   * - delta: 距离同一命名空间上一条日志的毫秒数
+   * - args: 参数列表
+   * - color: 命名空间前缀的颜色
+   * - context: 上下文字段，见{@link Logger#with}及{@link Logger.runWithContext}，没有上下文字段时不存在
+   * - location: 调用位置，如`src/app.js:12:5`，开启了配置项`location`时才存在
+   * - raw: 是否为原样代理的console方法（如table、group等），此时没有命名空间前缀
+   *
+   * @since 1.4.0
+   *
+   * @static
+   * @readonly
+   * @memberOf Logger
+   *
+   * @type {function[]}
+   */
+  static transports = [_transports.console]
+
+  /**
+   * 控制台输出通道
+   *
+   * @since 1.4.0
+   *
+   * @static
+   * @readonly
+   * @memberOf Logger
+   *
+   * @type {function}
+   */
+  static consoleTransport = _transports.console
+
+  /**
+   * 将打印记录序列化为单行JSON字符串，可用于自定义输出通道
+   * JSON对象包含`time`、`namespace`、`level`、`method`、`message`、`fields`字段：
+   * 基本类型的参数拼接为`message`，纯对象参数合并到`fields`中，错误对象作为`fields.error`，其他参数放入`fields.args`中
+   *
+   * @since 1.4.0
+   *
+   * @param {object} record - 打印记录
+   * @param {object} [limits] - 序列化限制
+   * @param {number} [limits.maxDepth=6] - 对象最大嵌套层级
+   * @param {number} [limits.maxStringLength=1000] - 单个字符串最大长度
+   * @param {number} [limits.maxArrayLength=100] - 数组、Map、Set最多保留的元素个数
+   * @param {number} [limits.maxKeys=100] - 对象最多保留的键个数
+   * @param {number} [limits.maxLength=10000] - 整条JSON字符串的最大长度，超出时丢弃`fields`
+   *
+   * @returns {string}
+   */
+  static serialize(record, limits) {
+    return _serialize.stringify(record, limits)
+  }
+
+  /**
+   * 替换全局console的方法，第三方库直接调用的console方法也会经过指定的实例打印，从而受命名空间规则、日志级别、前缀及输出通道的控制
+   * - 根据调用栈识别调用方，第三方包的调用归属到子命名空间，如`node_modules/axios`中的调用使用`console:axios`命名空间
+   * - 内置的控制台输出通道使用原始的console方法，自定义输出通道中调用console方法时也直接使用原始方法，不会递归
+   * - 再次调用时先还原之前的替换
+   * [注]console.error会以`error`级别打印，不受配置项`errorMode`的影响，不会抛出错误
+   *
+   * @since 1.4.0
+   *
+   * @param {object} [options] - 配置选项
+   * @param {string} [options.name='console'] - 用于打印的实例命名空间，见{@link Logger.get}
+   * @param {string[]} [options.methods] - 替换的方法，默认为log、info、debug、warn、error、trace
+   * @param {boolean} [options.attribute=true] - 是否根据调用栈识别第三方包的子命名空间
+   *
+   * @returns {function} 还原的函数，之后又被其他代码替换的方法保持不变
+   *
+   * @example
+   * const restore = Logger.patchConsole({ name: 'vendor' })
+   * // 禁用某个第三方包的打印
+   * Logger.setRules({ 'vendor:some-chatty-lib': false })
+   */
+  static patchConsole(options = {}) {
+    const logger = Logger.get(options.name || 'console')
+    const packages = new Map()
+
+    const resolve = (stack) => {
+      const name = _console.caller(stack)
+
+      if (!name) return logger
+
+      if (!packages.has(name)) packages.set(name, Logger.get(`${logger.$name}:${name}`, logger.$options))
+
+      return packages.get(name)
+    }
+
+    return _console.patch(options.methods || PATCH_METHODS, (method, original) => {
+      return function patchedConsole(...args) {
+        // 处理过程中再次调用console方法（如自定义输出通道中）时，直接使用原始方法
+        if (routingConsole) return original(...args)
+
+        routingConsole = true
+
+        try {
+          const target = options.attribute === false ? logger : resolve(new Error().stack)
+
+          _actions.logProxyRun(target, method, target.$color, ...args)
+        } finally {
+          routingConsole = false
+        }
+      }
+    })
+  }
+
+  /**
+   * 开始测试捕获，拦截所有实例的打印，记录到捕获器中，不再输出到输出通道及远程上报
+   * - 捕获期间所有实例都处于激活状态，不受开发环境、命名空间规则、日志级别及配置项`debug`的影响，以保证测试结果稳定
+   * - error方法按激活状态下的行为处理，即配置项`errorMode`不为'log'时仍会抛出错误
+   * - 捕获的记录包含`namespace`、`method`、`level`、`timestamp`、`args`（已求值、已脱敏），及`context`（存在上下文字段时）
+   * - 查询条件依次为命名空间（支持通配符`*`或正则表达式）、打印方法（`*`或不传表示任意方法）、参数匹配条件：
+   *   字符串表示打印信息（基本类型参数以空格拼接）包含该字符串，正则表达式匹配打印信息，函数接收参数列表及记录，其他值表示任一参数部分匹配该值
+   *
+   * @since 1.4.0
+   *
+   * @returns {object} 捕获器，包含`records`记录列表，以及`find`、`expectLogged`、`expectNotLogged`、`clear`、`restore`方法
+   *
+   * @example
+   * const capture = Logger.capture()
+   *
+   * new Logger('request').log('fetch', { url: '/api' })
+   *
+   * capture.expectLogged('request', 'log', 'fetch')
+   * capture.expectLogged('request', 'log', { url: '/api' })
+   * capture.restore()
+   */
+  static capture() {
+    return _capture.start()
+  }
+
+  /**
+   * 开始测试捕获，同{@link Logger.capture}
+   *
+   * @since 1.4.0
+   *
+   * @returns {object} 捕获器
+   */
+  static mock() {
+    return _capture.start()
+  }
+
+  /**
+   * 配置远程上报，将日志批量以POST请求发送到指定的服务地址，请求体为`{ logs: [...] }`
+   * - 每条日志为{@link Logger.serialize}的JSON对象，并带有`rule`字段，与命名空间规则的写法相同，如`request.warn`
+   * - 队列达到`batchSize`条或等待`interval`毫秒后发送
+   * - 发送失败时以指数退避的方式重试，离线时等待网络恢复后再发送
+   * - 未发送的日志持久化到存储中（浏览器中为`localStorage`，其他环境为{@link Logger.setStorage}注入的存储适配器，环境变量不保存），下次加载时继续发送
+   * - 页面卸载时通过`navigator.sendBeacon`发送剩余的日志（无法设置请求头，且以`text/plain`类型发送）；Node.js环境下在进程正常退出前（`beforeExit`事件）发送
+   *
+   * @since 1.4.0
+   *
+   * @param {object} options - 配置选项
+   * @param {string} options.endpoint - 服务地址，为空时停止上报
+   * @param {string} [options.remoteLevel] - 单独的上报最低级别，设置后不论是否处于激活状态，达到该级别的打印都会上报；未设置时只上报处于激活状态的打印
+   * @param {number} [options.batchSize=50] - 每批发送的条数
+   * @param {number} [options.interval=5000] - 等待发送的毫秒数
+   * @param {object} [options.headers] - 附加的请求头
+   * @param {function} [options.fetch] - 自定义的fetch函数，默认使用全局的fetch
+   * @param {number} [options.maxQueue=1000] - 队列最多保留的条数，超出时丢弃最早的日志
+   * @param {number} [options.backoff=1000] - 首次重试等待的毫秒数，之后每次翻倍
+   * @param {number} [options.maxBackoff=60000] - 重试最多等待的毫秒数
+   * @param {boolean} [options.persist=true] - 是否持久化未发送的日志
+   * @param {string} [options.key='LOGGER_REMOTE_QUEUE'] - 持久化时使用的存储键
+   * @param {object} [options.limits] - 序列化限制，见{@link Logger.serialize}
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * Logger.configRemote({ endpoint: '/api/logs', remoteLevel: 'warn' })
+   */
+  static configRemote(options) {
+    _remote.config(options)
+
+    return this
+  }
+
+  /**
+   * 立即发送远程上报队列中的所有日志
+   *
+   * @since 1.4.0
+   *
+   * @returns {Promise<boolean>} 是否全部发送成功，发送失败时不会拒绝，而是等待稍后重试
+   */
+  static flush() {
+    return _remote.flush()
+  }
+
+  /**
+   * 在上下文作用域中运行函数，函数内（包括嵌套调用）所有实例的打印都会带上这些上下文字段
+   * - 支持AsyncLocalStorage的环境（如Node.js）中，上下文会在异步调用（await、定时器、事件回调等）中传递
+   * - Node.js 20.16、22.3之前的版本以ES模块方式引入时无法获取AsyncLocalStorage，需要在引入前注入`globalThis.AsyncLocalStorage`
+   * - 其他环境（如浏览器）中，上下文只在函数同步执行期间有效
+   * [注]嵌套调用时合并外层作用域的上下文字段；实例通过{@link Logger#with}绑定的上下文字段优先
+   *
+   * @since 1.4.0
+   *
+   * @param {object} fields - 上下文字段
+   * @param {function} fn - 被运行的函数
+   *
+   * @returns {*} 函数的返回值
+   *
+   * @example
+   * app.use((req, res, next) => {
+   *   Logger.runWithContext({ requestId: req.id }, next)
+   * })
+   */
+  static runWithContext(fields, fn) {
+    return _context.run(fields, fn)
+  }
+
+  /**
+   * 将表格数据渲染为纯文本表格，可用于终端或自定义的文本输出通道
+   *
+   * @since 1.4.0
+   *
+   * @param {Array|object|Map} data - 表格数据
+   * @param {string[]} [columns] - 只显示的列
+   *
+   * @returns {string}
+   *
+   * @example
+   * Logger.renderTable([{ a: 1, b: 'x' }, { a: 2 }])
+   * // +---------+---+---+
+   * // | (index) | a | b |
+   * // +---------+---+---+
+   * // | 0       | 1 | x |
+   * // | 1       | 2 |   |
+   * // +---------+---+---+
+   */
+  static renderTable(data, columns) {
+    return _table.render(data, columns)
+  }
+
+  /**
+   * 配置历史记录，启用后会以环形缓冲区的方式记录每一次打印（包括非激活状态下未输出的打印），便于导出附加到问题反馈中
+   * 启用持久化时，会异步读取之前保存的历史记录，排在当前历史记录之前
+   *
+   * @since 1.4.0
+   *
+   * @param {object} options - 配置选项
+   * @param {number} [options.size=0] - 最多保留的条数，为0时不启用历史记录
+   * @param {number} [options.maxBytes=524288] - 最多占用的字节数（以JSON字符串长度近似计算）
+   * @param {string|boolean} [options.persist=false] - 持久化方式：'session'保存到`sessionStorage`，'indexeddb'保存到`IndexedDB`，false不持久化
+   * @param {string} [options.key='LOGGER_HISTORY'] - 持久化时使用的存储键
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * Logger.configHistory({ size: 500, persist: 'session' })
+   */
+  static configHistory(options) {
+    _history.config(options)
+
+    return this
+  }
+
+  /**
+   * 查询历史记录
+   *
+   * @since 1.4.0
+   *
+   * @param {object} [filter] - 查询条件
+   * @param {string|RegExp} [filter.namespace] - 命名空间，支持通配符`*`，也会匹配其子命名空间
+   * @param {string} [filter.level] - 最低日志级别
+   * @param {string} [filter.method] - 打印方法
+   * @param {number|Date} [filter.since] - 起始时间
+   * @param {number|Date} [filter.until] - 截止时间
+   * @param {boolean} [filter.activated] - 是否实际输出了
+   * @param {number} [filter.limit] - 最多返回最近的条数
+   *
+   * @returns {object[]} 历史记录列表，每条包含`namespace`、`method`、`level`、`timestamp`、`activated`、已序列化的`args`及`context`（存在上下文字段时）
+   */
+  static history(filter = {}) {
+    return _history.query(filter, LEVELS)
+  }
+
+  /**
+   * 清空历史记录
+   *
+   * @since 1.4.0
+   *
+   * @returns {Logger}
+   */
+  static clearHistory() {
+    _history.clear()
+
+    return this
+  }
+
+  /**
+   * 导出历史记录，可以下载为文件或复制到剪贴板
+   *
+   * @since 1.4.0
+   *
+   * @param {object} [options] - 配置选项
+   * @param {string} [options.format='json'] - 导出格式：'json'或'text'
+   * @param {object} [options.filter] - 查询条件见{@link Logger.history}
+   * @param {boolean|string} [options.download=false] - 是否在浏览器中下载为文件，为字符串时作为文件名
+   * @param {boolean} [options.copy=false] - 是否复制到剪贴板
+   *
+   * @returns {string} 导出的内容
+   */
+  static exportHistory(options = {}) {
+    const list = Logger.history(options.filter)
+    const text = options.format === 'text'
+    const content = text
+      ? _history.toText(list)
+      : JSON.stringify(list, null, 2)
+
+    if (options.download) {
+      const filename = validation.isString(options.download)
+        ? options.download
+        : `logger-history-${Date.now()}.${text ? 'log' : 'json'}`
+
+      _env.download(filename, content, text ? 'text/plain' : 'application/json')
+    }
+
+    if (options.copy) {
+      _env.copy(content).catch(() => {})
+    }
+
+    return content
+  }
+
+  /**
+   * 捕获全局未处理的错误及Promise拒绝，通过指定命名空间的实例打印（同时会经过输出通道及历史记录）
+   * - 浏览器、Web Worker环境：监听`error`及`unhandledrejection`事件
+   * - Node.js环境：监听`uncaughtException`及`unhandledRejection`事件，打印后默认以退出码1结束进程，与Node.js的默认行为保持一致，启用了远程上报时先等待发送完成；实例处于非激活状态（如生产环境）时直接以原始的console.error输出，避免进程无声退出
+   * [注]捕获到的错误直接以`error`级别打印，不受配置项`errorMode`影响，不会再次抛出；已被error方法打印过的错误不会重复打印
+   *
+   * @since 1.4.0
+   *
+   * @param {object} [options] - 配置选项
+   * @param {string} [options.name='global'] - 用于打印的实例命名空间，见{@link Logger.get}
+   * @param {boolean} [options.exit=true] - Node.js环境下打印后是否结束进程
+   * @param {number} [options.flushTimeout=2000] - Node.js环境下结束进程前等待远程上报发送完成的最长毫秒数
+   *
+   * @returns {function} 取消捕获的函数
+   *
+   * @example
+   * const uninstall = Logger.captureGlobalErrors({ name: 'app:errors' })
+   */
+  static captureGlobalErrors(options = {}) {
+    const logger = Logger.get(options.name || 'global')
+    const root = _env.root
+
+    const report = (title, error) => {
+      if (!error || !error[LOGGED]) {
+        _actions.logProxyRun(logger, 'error', logger.$color, title, error)
+      }
+    }
+
+    if (root.addEventListener) {
+      const onError = (event) => {
+        report('Uncaught error', event.error || `${event.message} (${event.filename}:${event.lineno}:${event.colno})`)
+      }
+      const onRejection = (event) => {
+        report('Unhandled rejection', event.reason)
+      }
+
+      root.addEventListener('error', onError)
+      root.addEventListener('unhandledrejection', onRejection)
+
+      return () => {
+        root.removeEventListener('error', onError)
+        root.removeEventListener('unhandledrejection', onRejection)
+      }
+    }
+
+    if (typeof process !== 'undefined' && validation.isFunction(process.on)) {
+      const crash = (title, error) => {
+        report(title, error)
+
+        // 接管了Node.js的默认错误输出，实例不会打印时仍需输出错误信息
+        if (!logger.isActivated('error')) _console.original().error(`${title}:`, error)
+
+        if (options.exit === false) return
+
+        if (!_remote.enabled()) return process.exit(1)
+
+        // 等待远程上报发送完成后再结束进程，避免丢失崩溃日志
+        Promise.race([
+          Logger.flush(),
+          new Promise((resolve) => {
+            setTimeout(resolve, options.flushTimeout === undefined ? 2000 : options.flushTimeout)
+          }),
+        ]).then(() => {
+          process.exit(1)
+        })
+      }
+      const onException = (error) => {
+        crash('Uncaught exception', error)
+      }
+      const onRejection = (reason) => {
+        crash('Unhandled rejection', reason)
+      }
+
+      process.on('uncaughtException', onException)
+      process.on('unhandledRejection', onRejection)
+
+      return () => {
+        process.removeListener('uncaughtException', onException)
+        process.removeListener('unhandledRejection', onRejection)
+      }
+    }
+
+    return () => {}
+  }
+
+  /**
+   * 增加全局输出通道
+   *
+   * @since 1.4.0
+   *
+   * @param {function} transport - 输出通道，接收参数为打印记录及Logger实例
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * // 将日志记录到内存中
+   * const buffer = []
+   * Logger.addTransport((record) => {
+   *   buffer.push(record)
+   * })
+   */
+  static addTransport(transport) {
+    Logger.transports = [
+      ...Logger.transports,
+      transport,
+    ]
+
+    return this
+  }
+
+  /**
+   * 移除全局输出通道
+   *
+   * @since 1.4.0
+   *
+   * @param {function} transport - 输出通道
+   *
+   * @returns {Logger}
+   */
+  static removeTransport(transport) {
+    Logger.transports = Logger.transports.filter((item) => {
+      return item !== transport
+    })
+
+    return this
+  }
+
+  /**
+   * 更改命名空间规则配置项
+   * [注]从`localStorage`的`LOGGER_RULES`键中读取规则配置优先级最高，始终会覆盖其他规则
+   * [注]多条规则同时匹配时，越具体的规则越优先，匹配顺序见{@link Logger.rules}
+   *
+   * @since 1.2.0
+   *
+   * @param {object|string} rules - 配置参数，也可以是类似`DEBUG`环境变量的字符串写法
+   * @param {string} [rules.name] - 日志器命名空间
+   * @param {boolean} [rules.debug] - 调试模式是否开启
+   * @param {string} [rules.level] - 日志级别，规则值也可以是日志级别字符串，表示该命名空间的最低打印级别
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * // 定义规则
+   * Logger.configRules = {
+   *    utils-http:false // 整个utils-http不可打印输出
+   *    utils-calc.log=true // utils-calc打印器的log方法不支持打印输出
+   *    request='warn' // request打印器只打印warn及以上级别的日志
+   *    store:*=true // store的所有子命名空间均可打印输出
+   *    -store:cache=true // 但store:cache不可打印输出
+   * }
+   */
+  static configRules(rules) {
+    Logger.rules = {
+      ...configuredRules,
+      ..._rules.normalize(rules),
+    }
+
+    return this
+  }
+
+  /**
+   * 设置运行时的命名空间规则，并持久化到存储中（浏览器中为`localStorage`的`LOGGER_RULES`键）
+   * 会替换之前存储中的规则，所有实例立即生效
+   *
+   * @since 1.4.0
+   *
+   * @param {object|string} rules - 规则配置，写法同{@link Logger.configRules}
+   *
+   * @returns {Logger}
+   */
+  static setRules(rules) {
+    _env.setItem('LOGGER_RULES', JSON.stringify(_rules.normalize(rules)))
+    _actions.notify('rules')
+
+    return this
+  }
+
+  /**
+   * 清除存储中的运行时命名空间规则，恢复为通过{@link Logger.configRules}配置的规则
+   *
+   * @since 1.4.0
+   *
+   * @returns {Logger}
+   */
+  static resetRules() {
+    _env.removeItem('LOGGER_RULES')
+    _actions.notify('rules')
+
+    return this
+  }
+
+  /**
+   * 获取存储中的运行时命名空间规则，不包含通过{@link Logger.configRules}配置的规则
+   *
+   * @since 1.4.0
+   *
+   * @returns {object}
+   */
+  static storedRules() {
+    return _env.readRules()
+  }
+
+  /**
+   * 获取所有已创建的实例，同一命名空间只返回第一个创建的实例
+   *
+   * @since 1.4.0
+   *
+   * @returns {Logger[]}
+   */
+  static instances() {
+    return Array.from(registry.values())
+  }
+
+  /**
+   * 获取所有已创建实例的命名空间
+   *
+   * @since 1.4.0
+   *
+   * @returns {string[]}
+   */
+  static list() {
+    return Array.from(registry.keys())
+  }
+
+  /**
+   * 获取指定命名空间的实例，不存在时创建一个新实例，同一命名空间始终返回同一个实例
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 命名空间
+   * @param {object} [options] - 创建实例时的配置选项见{@link Logger.options}，实例已存在时忽略
+   *
+   * @returns {Logger}
+   */
+  static get(name, options) {
+    return registry.get(name) || new Logger({
+      ...options,
+      name,
+    })
+  }
+
+  /**
+   * 检测当前是否为开发环境，每次调用都会实时读取
+   *
+   * @since 1.4.0
+   *
+   * @returns {boolean}
+   */
+  static isDev() {
+    return _env.readDev()
+  }
+
+  /**
+   * 开启或关闭开发环境，并持久化到存储中（浏览器中为`localStorage`的`IS_DEV`键），所有实例立即生效
+   * [注]关闭时只是移除存储中的配置，若`NODE_ENV`为`development`，仍然处于开发环境
+   *
+   * @since 1.4.0
+   *
+   * @param {boolean} [enabled=true] - 是否开启
+   *
+   * @returns {Logger}
+   */
+  static enableDev(enabled = true) {
+    enabled
+      ? _env.setItem('IS_DEV', 'true')
+      : _env.removeItem('IS_DEV')
+
+    _actions.notify('dev')
+
+    return this
   }
-}
 
-/**
- * @classdesc 日志打印类
- *
- * @class
- */
-class Logger {
   /**
-   * 打印器命名空间规则配置项
-   * - 可以配置整个命名空间是否输出日志
-   * - 也可以配置命名空间下某个实例方法是否输出日志
+   * 监听命名空间规则、开发环境配置及实例注册表的变化，包括其他页面对`localStorage`的修改
    *
-   * @since 1.2.0
+   * @since 1.4.0
    *
-   * @static
-   * @readonly
-   * @memberOf Logger
+   * @param {function} listener - 监听函数，接收参数为变化类型：'rules'、'dev'、'register'
    *
-   * @type {object}
-   * @property {object} rules - 打印器命名空间规则配置集合
+   * @returns {function} 取消监听的函数
    */
-  static rules = LOGGER_RULES
+  static onChange(listener) {
+    listeners.add(listener)
+
+    return () => {
+      listeners.delete(listener)
+    }
+  }
 
   /**
-   * 更改命名空间规则配置项
-   * [注]从`localStorage`的`LOGGER_RULES`键中读取规则配置优先级最高，始终会覆盖其他规则
+   * 注入存储适配器，用于在没有`localStorage`、`process.env`的环境（如Web Worker）中读取配置
    *
-   * @since 1.2.0
+   * @since 1.4.0
    *
-   * @param {object} rules - 配置参数
-   * @param {string} [rules.name] - 日志器命名空间
-   * @param {boolean} [rules.debug] - 调试模式是否开启
+   * @param {object|null} storage - 存储适配器，需实现`getItem(key)`方法
    *
    * @returns {Logger}
    *
    * @example
-   * // 定义规则
-   * Logger.configRules = {
-   *    utils-http:false // 整个utils-http不可打印输出
-   *    utils-calc.log=true // utils-calc打印器的log方法不支持打印输出
-   * }
+   * Logger.setStorage({
+   *   getItem(key) {
+   *     return config[key]
+   *   }
+   * })
    */
-  static configRules(rules) {
-    Logger.rules = {
-      ...Logger.rules,
-      ...rules,
-      ...LOGGER_RULES,
-    }
+  static setStorage(storage) {
+    _env.setStorage(storage)
+    _actions.notify('rules')
+    _actions.notify('dev')
 
     return this
   }
@@ -156,10 +1437,40 @@ class Logger {
    * @type {object}
    * @property {string} name='logger' - 日志器命名空间，默认为'logger'
    * @property {boolean} debug=true - 调试模式是否开启，默认开启
+   * @property {string} level='trace' - 最低打印级别，默认打印全部级别，可选值见{@link Logger.levels}
+   * @property {function[]} [transports] - 实例的输出通道列表，未设置时使用全局输出通道{@link Logger.transports}
+   * @property {string} errorMode='throw' - error方法的行为：'throw'抛出错误，'log'打印错误日志，'both'打印后再抛出错误
+   * @property {boolean} throwInProduction=false - 非激活状态（如生产环境）下是否仍然抛出错误
+   * @property {string} colorMode='auto' - 命名空间前缀的颜色输出模式：'auto'自动检测，'css'使用`%c`样式，'ansi'使用终端ANSI颜色，'none'不使用颜色
+   * @property {string} format='pretty' - 输出格式：'pretty'为`[命名空间]:`前缀加原始参数，'json'为单行JSON字符串，便于日志收集
+   * @property {object} [limits] - 'json'格式的序列化限制，见{@link Logger.serialize}
+   * @property {string} prefix='[{name}]:' - 前缀模板，支持占位符：`{name}`命名空间、`{level}`日志级别、`{method}`打印方法、`{time}`时间戳、`{delta}`距离同一命名空间上一条日志的时间间隔（如`+12ms`）、`{location}`调用位置
+   * @property {string} timestamp='iso' - `{time}`占位符的格式：'iso'为ISO 8601格式，'time'为本地时间，'relative'为相对于模块加载时间的秒数
+   * @property {string} color='auto' - 命名空间前缀的颜色，'auto'表示根据命名空间自动分配固定的颜色，也可以指定任意CSS颜色值
+   * @property {object|Array} [redact] - 脱敏配置，输出前对参数进行深拷贝并替换敏感数据，为数组时表示`redact.paths`；只处理纯对象、数组、Map、Set、错误对象，Headers、URLSearchParams转换为键值对对象，其他类实例原样输出
+   * @property {Array<string|RegExp>} [redact.paths] - 需要脱敏的字段：字符串以`.`分隔，从后往前匹配字段路径，`*`匹配任意一级字段，不区分大小写；正则表达式匹配任意层级的字段名
+   * @property {RegExp[]} [redact.values] - 需要替换的敏感值正则，作用于所有字符串
+   * @property {string} [redact.censor='[REDACTED]'] - 替换文本
+   * @property {object} [rateLimit] - 频率限制，同一命名空间在时间窗口内超出条数的打印会被丢弃，窗口结束后输出丢弃的条数，如`{ max: 100, interval: 1000 }`
+   * @property {number} [rateLimit.max] - 时间窗口内最多输出的条数
+   * @property {number} [rateLimit.interval] - 时间窗口的毫秒数
+   * @property {boolean|number} [collapse] - 是否折叠连续重复的打印，重复的打印只输出一次，之后输出重复次数；为数字时表示无新打印多少毫秒后输出重复次数，默认为1000
+   * @property {boolean|string} location=false - 调用位置：
+   * - true：从调用栈中获取调用方的`文件:行:列`，加入打印记录及前缀（前缀模板中没有`{location}`占位符时附加在前缀之后）
+   * - 'bind'：log、info、debug、warn、trace方法直接返回绑定了前缀的console方法，浏览器开发者工具中显示真实的调用位置，见{@link Logger#log}
    */
   static options = {
     name: 'logger',
     debug: true,
+    level: 'trace',
+    errorMode: 'throw',
+    throwInProduction: false,
+    colorMode: 'auto',
+    format: 'pretty',
+    prefix: '[{name}]:',
+    timestamp: 'iso',
+    color: 'auto',
+    location: false,
   }
 
   /**
@@ -200,6 +1511,17 @@ class Logger {
         ...Logger.options,
         ...options
       }
+
+    // 绑定模式下打印方法直接返回绑定了前缀的console方法
+    if (this.$options.location === 'bind') {
+      _actions.bindMethods(this)
+    }
+
+    // 登记到实例注册表中
+    if (!registry.has(this.$name)) {
+      registry.set(this.$name, this)
+      _actions.notify('register')
+    }
   }
 
   /**
@@ -213,6 +1535,17 @@ class Logger {
    */
   $options = undefined
 
+  /**
+   * 实例绑定的上下文字段，见{@link Logger#with}
+   *
+   * @since 1.4.0
+   *
+   * @readonly
+   *
+   * @type {object|undefined}
+   */
+  $context = undefined
+
   /**
    * 获取实例的命名空间配置项
    *
@@ -241,6 +1574,54 @@ class Logger {
     return this.$options.debug
   }
 
+  /**
+   * 获取实例的最低打印级别配置项
+   *
+   * @since 1.4.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {string}
+   */
+  get $level() {
+    return _actions.isLevel(this.$options.level)
+      ? this.$options.level
+      : 'trace'
+  }
+
+  /**
+   * 获取实例的命名空间前缀颜色，配置项`color`为'auto'时根据命名空间自动分配
+   *
+   * @since 1.4.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {string}
+   */
+  get $color() {
+    const color = this.$options.color
+
+    return !color || color === 'auto'
+      ? _color.pick(this.$name)
+      : color
+  }
+
+  /**
+   * 获取实例的输出通道列表
+   *
+   * @since 1.4.0
+   *
+   * @getter
+   * @readonly
+   *
+   * @type {function[]}
+   */
+  get $transports() {
+    return this.$options.transports || Logger.transports
+  }
+
   /**
    * 检测当前是否调试模式是否激活：可以打印日志
    *
@@ -251,22 +1632,28 @@ class Logger {
    * @returns {boolean}
    */
   isActivated(method) {
+    // 测试捕获时始终处于激活状态，不受环境及规则的影响
+    if (_capture.active()) {
+      return true
+    }
+
     // 如果不是开发模式
-    if (!IS_DEV) {
+    if (!_env.readDev()) {
       return false
     }
 
-    // 以子命名空间的状态优先
-    let status = Logger.rules[this.$name]
-    // 先判断其子命名空间的状态
-
-    // 如果存在放法名，则判断子命名空间
-    // 当前方法名存在子命名空间里且明确设置为false时，则不打印
-    // 当前子命名空间如果明确false，则不打印
-    if (method) {
-      const subStatus = Logger.rules[`${this.$name}.${method}`]
+    // 以最具体的规则为准，子命名空间未匹配到规则时继承父级命名空间的规则
+    // 方法规则优先于同一命名空间的规则
+    const rule = _rules.resolve(Logger.rules, this.$name, method)
+    let status = rule && rule.value
+    let level = this.$level
+    // 是否由方法规则明确开启，明确开启时不再受日志级别的限制
+    const explicit = !!rule && rule.method && status === true
 
-      if (validation.isBoolean(subStatus)) status = subStatus
+    // 规则值为日志级别时，作为该命名空间的最低打印级别
+    if (_actions.isLevel(status)) {
+      level = status
+      status = undefined
     }
 
     // 如果明确指定该命名空间不开启日志打印，则不打印
@@ -279,11 +1666,67 @@ class Logger {
       return false
     }
 
+    // 未达到最低打印级别，则不打印
+    if (!explicit && !_actions.isLevelEnabled(method, level)) {
+      return false
+    }
+
     return true
   }
 
   /**
-   * 创建一个指定颜色的打印方法
+   * 检测某个打印方法当前是否会实际输出，用于在热点代码中跳过耗时的日志数据准备
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [method='log'] - 打印方法
+   *
+   * @returns {boolean}
+   *
+   * @example
+   * if (logger.enabledFor('debug')) {
+   *   logger.debug(buildExpensiveReport())
+   * }
+   */
+  enabledFor(method = 'log') {
+    return this.isActivated(method)
+  }
+
+  /**
+   * 创建延迟求值的参数，只有打印处于激活状态时才会调用函数，以其返回值作为参数
+   * [注]打印方法（log、warn、error等）的唯一参数为函数时，也会作为延迟求值的参数；如需打印函数本身，可使用dir方法
+   *
+   * @since 1.4.0
+   *
+   * @param {function} fn - 返回参数值的函数
+   *
+   * @returns {object}
+   *
+   * @example
+   * logger.debug('state', logger.lazy(() => JSON.stringify(store.state)))
+   * logger.debug(() => `render ${items.length} items`)
+   */
+  lazy(fn) {
+    return { [LAZY]: fn }
+  }
+
+  /**
+   * 更改实例的最低打印级别
+   *
+   * @since 1.4.0
+   *
+   * @param {string} level - 日志级别，可选值见{@link Logger.levels}
+   *
+   * @returns {Logger}
+   */
+  setLevel(level) {
+    this.$options.level = level
+
+    return this
+  }
+
+  /**
+   * 创建一个指定颜色的打印方法，不受配置项`color`的影响
    *
    * @since 1.1.0
    *
@@ -295,6 +1738,167 @@ class Logger {
     return _actions.logFactory(this, 'log', `${color}`)
   }
 
+  /**
+   * 创建子命名空间的实例，命名空间为`父命名空间:子命名空间`，继承当前实例的配置选项
+   *
+   * @since 1.4.0
+   *
+   * @param {string} name - 子命名空间
+   * @param {object} [options] - 需要覆盖的配置选项见{@link Logger.options}
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * const logger = new Logger('http')
+   * const retryLogger = logger.extend('retry') // 命名空间为`http:retry`
+   * const backoffLogger = retryLogger.extend('backoff', { level: 'warn' }) // 命名空间为`http:retry:backoff`
+   */
+  extend(name, options) {
+    const child = new Logger({
+      ...this.$options,
+      ...options,
+      name: `${this.$name}:${name}`,
+    })
+
+    // 同时继承绑定的上下文字段
+    return this.$context ? child.with(this.$context) : child
+  }
+
+  /**
+   * 创建绑定了上下文字段的实例，之后的每次打印都会带上这些字段
+   * - 与原实例共享命名空间、配置选项及激活状态
+   * - 控制台中上下文字段以对象的形式输出在前缀之后，'json'格式及打印记录中合并到`fields`、`context`中
+   * - 可以多次调用，依次合并上下文字段
+   *
+   * @since 1.4.0
+   *
+   * @param {object} fields - 上下文字段
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * const requestLogger = logger.with({ requestId: 'a1b2', userId: 42 })
+   * requestLogger.log('start') // [http]: { requestId: 'a1b2', userId: 42 } start
+   */
+  with(fields) {
+    const bound = Object.create(this)
+
+    bound.$context = {
+      ...this.$context,
+      ...fields,
+    }
+
+    return bound
+  }
+
+  /**
+   * 包装函数，每次调用时输出调用参数、返回值（或错误）及消耗的时间，支持返回Promise的异步函数
+   * [注]处于非激活状态（`warn`级别不可打印）时直接调用原函数，几乎没有额外开销
+   *
+   * @since 1.4.0
+   *
+   * @param {function} fn - 被包装的函数
+   * @param {string} [label] - 标签名称，默认为函数名
+   *
+   * @returns {function}
+   *
+   * @example
+   * const fetchUser = logger.wrap(api.fetchUser, 'fetchUser')
+   * await fetchUser(1) // [http]: fetchUser called with 1 ... [http]: fetchUser resolved (12.345ms) {...}
+   */
+  wrap(fn, label = fn.name || 'anonymous') {
+    const self = this
+
+    return function wrapped(...args) {
+      if (!self.isActivated('warn')) return fn.apply(this, args)
+
+      return _actions.instrument(self, label, () => {
+        return fn.apply(this, args)
+      }, args)
+    }
+  }
+
+  /**
+   * 测量Promise或函数消耗的时间，输出结果（或错误）及消耗的时间
+   * [注]处于非激活状态（`warn`级别不可打印）时直接返回原结果
+   *
+   * @since 1.4.0
+   *
+   * @param {string} label - 标签名称
+   * @param {Promise|function} target - Promise或函数，函数会被立即调用
+   *
+   * @returns {*} Promise或函数的返回值
+   *
+   * @example
+   * const user = await logger.measure('load user', api.fetchUser(1))
+   */
+  measure(label, target) {
+    const run = validation.isFunction(target)
+      ? target
+      : () => target
+
+    return this.isActivated('warn')
+      ? _actions.instrument(this, label, run)
+      : run()
+  }
+
+  /**
+   * 创建装饰器，以{@link Logger#wrap}的方式包装类的方法
+   * - 用于方法时，只包装该方法
+   * - 用于类时，包装类原型上的所有方法
+   * 同时支持旧版（babel legacy）及新版（TC39）装饰器
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [label] - 标签名称，默认为`类名.方法名`
+   *
+   * @returns {function}
+   *
+   * @example
+   * @logger.decorator()
+   * class UserService {
+   *   fetch(id) {}
+   * }
+   *
+   * class OrderService {
+   *   @logger.decorator('create order')
+   *   create(data) {}
+   * }
+   */
+  decorator(label) {
+    const self = this
+
+    const wrapClass = (Target) => {
+      Object.getOwnPropertyNames(Target.prototype).forEach((key) => {
+        const descriptor = Object.getOwnPropertyDescriptor(Target.prototype, key)
+
+        if (key !== 'constructor' && validation.isFunction(descriptor.value)) {
+          descriptor.value = self.wrap(descriptor.value, `${Target.name}.${key}`)
+          Object.defineProperty(Target.prototype, key, descriptor)
+        }
+      })
+
+      return Target
+    }
+
+    return (target, key, descriptor) => {
+      // 新版装饰器：(value, context)
+      if (key && validation.isString(key.kind)) {
+        return key.kind === 'class'
+          ? wrapClass(target)
+          : self.wrap(target, label || String(key.name))
+      }
+
+      // 旧版类装饰器：(Target)
+      if (key === undefined) return wrapClass(target)
+
+      // 旧版方法装饰器：(prototype, key, descriptor)
+      descriptor.value = self.wrap(descriptor.value, label || `${target.constructor.name}.${key}`)
+
+      return descriptor
+    }
+  }
+
   /**
    * 启用日志输出
    *
@@ -323,6 +1927,7 @@ class Logger {
 
   /**
    * 常规日志打印
+   * [注]配置项`location`为'bind'时，log、info、debug、warn、trace方法为直接绑定了前缀的console方法，开发者工具中显示真实的调用位置，此时返回值为undefined，不能链式调用
    *
    * @since 1.0.0
    *
@@ -331,7 +1936,7 @@ class Logger {
    * @returns {Logger}
    */
   log(...args) {
-    return _actions.logProxyRun(this, 'log', 'lightseagreen', ...args)
+    return _actions.logProxyRun(this, 'log', this.$color, ...args)
   }
 
   /**
@@ -344,7 +1949,7 @@ class Logger {
    * @returns {Logger}
    */
   warn(...args) {
-    return _actions.logProxyRun(this, 'warn', 'goldenrod', ...args)
+    return _actions.logProxyRun(this, 'warn', this.$color, ...args)
   }
 
   /**
@@ -357,71 +1962,138 @@ class Logger {
    * @returns {Logger}
    */
   trace(...args) {
-    return _actions.logProxyRun(this, 'trace', 'lightseagreen', ...args)
+    return _actions.logProxyRun(this, 'trace', this.$color, ...args)
   }
 
   /**
-   * 错误日志打印，同时会抛出错误，阻塞后续逻辑
+   * 错误日志打印，根据配置项`errorMode`决定打印错误日志或抛出错误
+   * - 'throw'：抛出错误，阻塞后续逻辑
+   * - 'log'：只打印错误日志
+   * - 'both'：打印错误日志后再抛出错误
+   * [注]只有处于激活状态，或配置项`throwInProduction`为true时才会抛出错误
+   * [注]若参数中存在错误对象，则直接抛出该错误对象，保留原始的错误堆栈
    *
    * @since 1.0.0
    *
    * @param {...*} args - 参数列表
    *
+   * @returns {Logger}
+   *
    * @throws Error - 抛出错误提示
    */
   error(...args) {
-    const message = args.map((value) => {
-      return value.toString()
-    }).join(' ')
+    const mode = this.$options.errorMode
+    const throwable = mode !== 'log' && (this.$options.throwInProduction || this.isActivated('error'))
+
+    // 抛出的错误需要使用求值后的参数
+    if (throwable) args = _actions.resolve(args, true, true)
+
+    if (mode === 'log' || mode === 'both') {
+      _actions.logProxyRun(this, 'error', this.$color, ...args)
+    } else {
+      // 只抛出错误时也记录到历史记录中、远程上报，并分发到控制台以外的输出通道，控制台中由运行环境输出抛出的错误
+      const activated = this.isActivated('error')
+
+      const record = _actions.baseRecord(this, 'error', _actions.redact(this, _actions.resolve(args, activated, true), activated), activated)
+
+      _actions.track(record, activated)
+      _actions.ship(record, activated)
+
+      if (!_actions.capture(record) && activated) {
+        _actions.dispatch(this, _actions.stamp(this, record, { color: this.$color }), _transports.console)
+      }
+    }
 
-    throw new Error(message)
+    if (throwable) {
+      // 错误信息中的参数同样需要脱敏，参数中的错误对象则原样抛出
+      const error = _actions.toError(args.find((arg) => {
+        return arg instanceof Error
+      }) ? args : _actions.redact(this, args, true))
+
+      if (mode === 'both') _actions.markLogged(error)
+
+      throw error
+    }
+
+    return this
   }
 
   /**
-   * log的同名方法，使用方法请参考{@link Logger#log}
+   * 信息日志打印，与log同属`info`级别
    *
    * @since 1.1.0
    *
-   * @see Logger#log
-   *
    * @param {...*} args - 任意数据
    *
    * @returns {Logger}
    */
   info(...args) {
-    return this.log(...args)
+    return _actions.logProxyRun(this, 'info', this.$color, ...args)
   }
 
   /**
-   * log的同名方法，使用方法请参考{@link Logger#log}
+   * 调试日志打印，属于`debug`级别
    *
    * @since 1.1.0
    *
-   * @see Logger#log
-   *
    * @param {...*} args - 任意数据
    *
    * @returns {Logger}
    */
   debug(...args) {
-    return this.log(...args)
+    return _actions.logProxyRun(this, 'debug', this.$color, ...args)
+  }
+
+  /**
+   * 只打印一次，同一命名空间下相同内容的打印在整个会话中只输出一次，适用于废弃提示等信息
+   * [注]非激活状态下未实际输出时，不计为已打印；不受配置项`rateLimit`、`collapse`的限制
+   *
+   * @since 1.4.0
+   *
+   * @param {...*} args - 任意数据
+   *
+   * @returns {Logger}
+   */
+  once(...args) {
+    return _actions.once(this, 'log', args)
+  }
+
+  /**
+   * 只打印一次的警告日志，同{@link Logger#once}
+   *
+   * @since 1.4.0
+   *
+   * @param {...*} args - 任意数据
+   *
+   * @returns {Logger}
+   *
+   * @example
+   * logger.warnOnce('`foo` is deprecated, use `bar` instead')
+   */
+  warnOnce(...args) {
+    return _actions.once(this, 'warn', args)
   }
 
   /**
    * 区别于console.table
-   * - 对象或数组类型数据以表格的方式打印
-   * - 若非这两种数据类型，则调用log方法打印
+   * - 数组、对象或Map类型数据以表格的方式打印，并输出命名空间前缀作为标题
+   * - 基本类型的数组元素放在`Values`列，嵌套的对象以紧凑的JSON字符串展示
+   * - 若非这几种数据类型，则调用log方法打印
+   * [注]不支持console.table的环境输出纯文本表格，自定义输出通道可使用{@link Logger.renderTable}渲染
    *
    * @since 1.1.0
    *
    * @param {*} data - 任意数据
+   * @param {string[]} [columns] - 只显示的列
    *
    * @returns {Logger}
    */
-  table(data) {
-    return validation.isArray(data) && validation.isPlainObject(data)
-      ? this.log(data)
-      : _actions.proxyRun(this, 'table', data)
+  table(data, columns) {
+    if (!_table.isTabular(data)) return this.log(data)
+
+    return columns
+      ? _actions.logProxyRun(this, 'table', this.$color, data, columns)
+      : _actions.logProxyRun(this, 'table', this.$color, data)
   }
 
   /**
@@ -452,6 +2124,7 @@ class Logger {
 
   /**
    * 创建一个组，接下来所有的打印内容，都会包裹在组内，直到调用groupEnd()方法结束，退出组
+   * [注]记录组所属的命名空间，只能由同一命名空间关闭
    *
    * @since 1.1.0
    *
@@ -460,7 +2133,7 @@ class Logger {
    * @returns {Logger}
    */
   group(label) {
-    return _actions.proxyRun(this, 'group', label)
+    return _actions.groupStart(this, 'group', label)
   }
 
   /**
@@ -473,59 +2146,114 @@ class Logger {
    * @returns {Logger}
    */
   groupCollapsed(label) {
-    return _actions.proxyRun(this, 'groupCollapsed', label)
+    return _actions.groupStart(this, 'groupCollapsed', label)
   }
 
   /**
    * 关闭组
+   * [注]console只有一个组的栈，最内层的组不属于当前命名空间时不做任何处理，避免关闭其他命名空间的组
    *
    * @since 1.1.0
    *
    * @returns {Logger}
    */
   groupEnd() {
+    if (groupStack[groupStack.length - 1] !== this.$name) return this
+
+    groupStack.pop()
+
     return _actions.proxyRun(this, 'groupEnd')
   }
 
   /**
-   * 统计被执行的次数
+   * 统计被执行的次数，输出`标签名称: 次数`
+   * [注]计数器在每个命名空间内独立，非激活状态下也会计数
    *
    * @since 1.1.0
    *
-   * @param {string} label - 标签名称
+   * @param {string} [label='default'] - 标签名称
+   *
+   * @returns {Logger}
+   */
+  count(label = 'default') {
+    const counters = _actions.scope(countersStore, this.$name)
+    const count = (counters.get(label) || 0) + 1
+
+    counters.set(label, count)
+
+    return _actions.logProxyRun(this, 'count', this.$color, `${label}: ${count}`)
+  }
+
+  /**
+   * 重置计数器
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [label='default'] - 标签名称
    *
    * @returns {Logger}
    */
-  count(label) {
-    return _actions.proxyRun(this, 'count', label)
+  countReset(label = 'default') {
+    _actions.scope(countersStore, this.$name).delete(label)
+
+    return this
   }
 
   /**
    * 开始设置一个timer追踪操作任意的消耗时间，直到调用timeEnd()结束追踪，消耗时间单位为毫秒
+   * [注]计时器在每个命名空间内独立，非激活状态下也会计时
    *
    * @since 1.1.0
    *
-   * @param {string} label - 标签名称
+   * @param {string} [label='default'] - 标签名称
    *
    * @returns {Logger}
    */
-  time(label) {
-    return _actions.proxyRun(this, 'time', label)
+  time(label = 'default') {
+    const timers = _actions.scope(timersStore, this.$name)
+
+    if (timers.has(label)) {
+      return _actions.logProxyRun(this, 'warn', this.$color, `Timer '${label}' already exists`)
+    }
+
+    timers.set(label, _env.now())
+
+    return this
+  }
+
+  /**
+   * 输出计时器当前已消耗的时间，不结束追踪
+   *
+   * @since 1.4.0
+   *
+   * @param {string} [label='default'] - 标签名称
+   * @param {...*} data - 附加输出的数据
+   *
+   * @returns {number|undefined} 已消耗的毫秒数，计时器不存在时返回undefined
+   */
+  timeLog(label = 'default', ...data) {
+    return _actions.timeRun(this, 'timeLog', label, data)
   }
 
   /**
-   * 结束追踪
+   * 结束追踪，输出`标签名称: 消耗时间`
    *
    * @since 1.1.0
    *
-   * @returns {Logger}
+   * @param {string} [label='default'] - 标签名称
+   *
+   * @returns {number|undefined} 消耗的毫秒数，计时器不存在时返回undefined
    */
-  timeEnd() {
-    return _actions.proxyRun(this, 'timeEnd')
+  timeEnd(label = 'default') {
+    const duration = _actions.timeRun(this, 'timeEnd', label, [])
+
+    _actions.scope(timersStore, this.$name).delete(label)
+
+    return duration
   }
 
   /**
-   * 结束追踪
+   * 在浏览器性能分析的时间轴上添加标记
    *
    * @since 1.1.0
    *
@@ -553,10 +2281,12 @@ class Logger {
    *
    * @since 1.1.0
    *
+   * @param {string} label - 标签名称
+   *
    * @returns {Logger}
    */
-  profileEnd() {
-    return _actions.proxyRun(this, 'profileEnd')
+  profileEnd(label) {
+    return _actions.proxyRun(this, 'profileEnd', label)
   }
 
   /**
@@ -585,4 +2315,13 @@ class Logger {
   }
 }
 
+// 查找调用位置时跳过日志打印器内部的调用
+_location.ignore(new Error().stack)
+
+// 其他页面修改了存储中的配置时，通知监听函数
+_env.watch((key) => {
+  key !== 'IS_DEV' && _actions.notify('rules')
+  key !== 'LOGGER_RULES' && _actions.notify('dev')
+})
+
 export default Logger
@@ -0,0 +1,245 @@
+/**
+ * @file 日志打印器调试面板，可在浏览器中查看及切换各个命名空间的打印状态
+ * @author lisfan <goolisfan@gmail.com>
+ * @licence MIT
+ */
+
+import Logger from './logger'
+
+/**
+ * 面板中展示的打印方法
+ */
+const METHODS = ['trace', 'debug', 'log', 'info', 'warn', 'error']
+
+/**
+ * 命名空间规则的可选值，空字符串表示未设置规则（继承父级命名空间或使用实例配置）
+ */
+const RULE_OPTIONS = ['', 'true', 'false', ...Object.keys(Logger.levels)]
+
+/**
+ * 面板样式
+ */
+const STYLES = {
+  panel: 'position:fixed;z-index:2147483647;right:8px;bottom:8px;max-height:60vh;overflow:auto;padding:8px;'
+    + 'background:#fff;color:#333;border:1px solid #ccc;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,.2);'
+    + 'font:12px/1.5 monospace;',
+  header: 'display:flex;align-items:center;justify-content:space-between;margin-bottom:4px;',
+  cell: 'padding:2px 6px;text-align:center;',
+  button: 'border:0;background:none;cursor:pointer;font:inherit;padding:0 2px;',
+}
+
+// 私有方法
+const _actions = {
+  /**
+   * 创建dom元素
+   *
+   * @since 1.4.0
+   *
+   * @param {string} tag - 标签名
+   * @param {object} [props] - 属性
+   * @param {Array} [children] - 子节点
+   *
+   * @returns {HTMLElement}
+   */
+  createElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag)
+
+    Object.keys(props).forEach((key) => {
+      key === 'style'
+        ? element.setAttribute('style', props[key])
+        : element[key] = props[key]
+    })
+
+    children.forEach((child) => {
+      element.appendChild(typeof child === 'string' ? document.createTextNode(child) : child)
+    })
+
+    return element
+  },
+  /**
+   * 将规则值转换为下拉框的值
+   *
+   * @since 1.4.0
+   *
+   * @param {*} value - 规则值
+   *
+   * @returns {string}
+   */
+  toOption(value) {
+    return value === undefined ? '' : String(value)
+  },
+  /**
+   * 将下拉框的值转换为规则值
+   *
+   * @since 1.4.0
+   *
+   * @param {string} option - 下拉框的值
+   *
+   * @returns {*}
+   */
+  fromOption(option) {
+    return option === 'true'
+      ? true
+      : option === 'false'
+        ? false
+        : option
+  },
+  /**
+   * 更新存储中的某条规则，值为undefined或空字符串时移除该规则
+   *
+   * @since 1.4.0
+   *
+   * @param {string} key - 规则键
+   * @param {*} value - 规则值
+   */
+  updateRule(key, value) {
+    const rules = { ...Logger.storedRules() }
+
+    if (value === undefined || value === '') {
+      delete rules[key]
+    } else {
+      rules[key] = value
+    }
+
+    Logger.setRules(rules)
+  },
+  /**
+   * 创建命名空间的表格行
+   *
+   * @since 1.4.0
+   *
+   * @param {Logger} logger - Logger实例
+   *
+   * @returns {HTMLElement}
+   */
+  createRow(logger) {
+    const name = logger.$name
+    const rules = Logger.storedRules()
+
+    const select = _actions.createElement('select', {
+      title: '命名空间规则',
+      onchange: () => {
+        _actions.updateRule(name, _actions.fromOption(select.value))
+      },
+    }, RULE_OPTIONS.map((option) => {
+      return _actions.createElement('option', {
+        value: option,
+        selected: option === _actions.toOption(rules[name]),
+      }, [option || '-'])
+    }))
+
+    const methodCells = METHODS.map((method) => {
+      const key = `${name}.${method}`
+      const rule = rules[key]
+      const activated = logger.isActivated(method)
+
+      // 点击时依次切换：未设置 -> 开启 -> 关闭 -> 未设置
+      const button = _actions.createElement('button', {
+        style: STYLES.button + (rule === undefined ? '' : 'text-decoration:underline;'),
+        title: `${key}: ${rule === undefined ? '-' : rule}`,
+        onclick: () => {
+          _actions.updateRule(key, rule === undefined ? true : rule === true ? false : undefined)
+        },
+      }, [activated ? '●' : '○'])
+
+      return _actions.createElement('td', { style: STYLES.cell }, [button])
+    })
+
+    return _actions.createElement('tr', {}, [
+      _actions.createElement('td', { style: STYLES.cell + 'text-align:left;' }, [name]),
+      _actions.createElement('td', { style: STYLES.cell }, [select]),
+      ...methodCells,
+    ])
+  },
+  /**
+   * 渲染面板内容
+   *
+   * @since 1.4.0
+   *
+   * @param {HTMLElement} panel - 面板元素
+   * @param {function} unmount - 卸载面板的函数
+   */
+  render(panel, unmount) {
+    const dev = _actions.createElement('input', {
+      type: 'checkbox',
+      checked: Logger.isDev(),
+      onchange: () => {
+        Logger.enableDev(dev.checked)
+      },
+    })
+
+    const header = _actions.createElement('div', { style: STYLES.header }, [
+      _actions.createElement('label', {}, [dev, ' IS_DEV']),
+      _actions.createElement('span', {}, [
+        _actions.createElement('button', {
+          style: STYLES.button,
+          title: '清除存储中的规则',
+          onclick: () => {
+            Logger.resetRules()
+          },
+        }, ['reset']),
+        _actions.createElement('button', {
+          style: STYLES.button,
+          title: '关闭',
+          onclick: unmount,
+        }, ['×']),
+      ]),
+    ])
+
+    const head = _actions.createElement('tr', {}, ['namespace', 'rule', ...METHODS].map((title) => {
+      return _actions.createElement('th', { style: STYLES.cell }, [title])
+    }))
+
+    const rows = Logger.instances().map((logger) => {
+      return _actions.createRow(logger)
+    })
+
+    panel.innerHTML = ''
+    panel.appendChild(header)
+    panel.appendChild(_actions.createElement('table', {}, [head, ...rows]))
+  },
+}
+
+/**
+ * 挂载调试面板
+ * - 列出所有已创建的命名空间，以及各个打印方法实际的打印状态（●可打印，○不可打印，带下划线表示该方法设置了规则）
+ * - 可切换开发环境、命名空间规则（开启、关闭、最低打印级别）及方法规则
+ * - 修改的规则会通过{@link Logger.setRules}持久化到存储中
+ *
+ * @since 1.4.0
+ *
+ * @param {object} [options] - 配置选项
+ * @param {HTMLElement} [options.container=document.body] - 面板的父元素
+ *
+ * @returns {function} 卸载面板的函数
+ *
+ * @example
+ * import mountPanel from '@~lisfan/logger/panel'
+ *
+ * const unmount = mountPanel()
+ * // 或
+ * Logger.mountPanel()
+ */
+function mountPanel(options = {}) {
+  const container = options.container || document.body
+  const panel = _actions.createElement('div', { style: STYLES.panel })
+
+  const unmount = () => {
+    unwatch()
+    panel.parentNode && panel.parentNode.removeChild(panel)
+  }
+
+  // 规则、开发环境配置或注册表变化时重新渲染
+  const unwatch = Logger.onChange(() => {
+    _actions.render(panel, unmount)
+  })
+
+  _actions.render(panel, unmount)
+  container.appendChild(panel)
+
+  return unmount
+}
+
+Logger.mountPanel = mountPanel
+
+export default mountPanel